@@ -1,11 +1,19 @@
 const {
+  sequelize,
   Client,
   Transaction,
   SmsBalance,
   Contact,
   ClientUser,
+  LedgerEntry,
 } = require("../models");
 const { validationResult } = require("express-validator");
+const {
+  DEFAULT_LIMITS,
+  LIMIT_FIELDS,
+  getClientLimits,
+} = require("../services/rateLimits");
+const { normalizeKeyword } = require("../services/inbox");
 const { Op } = require("sequelize");
 
 // Get all clients with their balances
@@ -135,7 +143,7 @@ const createClient = async (req, res) => {
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, smsProvider, testMode } = req.body;
 
     // Check if client already exists
     const existingClient = await Client.findOne({ where: { email } });
@@ -150,6 +158,8 @@ const createClient = async (req, res) => {
       name,
       email,
       password,
+      smsProvider,
+      testMode,
     });
 
     res.status(201).json({
@@ -179,7 +189,7 @@ const updateClient = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { name, email, password } = req.body;
+    const { name, email, password, smsProvider, testMode } = req.body;
 
     const client = await Client.findByPk(id);
     if (!client) {
@@ -207,6 +217,12 @@ const updateClient = async (req, res) => {
     if (password) {
       updateData.password = password;
     }
+    if (smsProvider !== undefined) {
+      updateData.smsProvider = smsProvider;
+    }
+    if (testMode !== undefined) {
+      updateData.testMode = testMode;
+    }
 
     await client.update(updateData);
 
@@ -275,13 +291,20 @@ const createTransaction = async (req, res) => {
       });
     }
 
-    const transaction = await Transaction.create({
-      clientId,
-      adminId: req.admin.id,
-      smsQuantity,
-      totalAmount,
-      description,
-    });
+    // The top-up ledger entry is posted by the afterCreate hook; keep both
+    // in one database transaction
+    const transaction = await sequelize.transaction((t) =>
+      Transaction.create(
+        {
+          clientId,
+          adminId: req.admin.id,
+          smsQuantity,
+          totalAmount,
+          description,
+        },
+        { transaction: t }
+      )
+    );
 
     // Get updated client with balance
     const updatedClient = await Client.findByPk(clientId, {
@@ -310,6 +333,214 @@ const createTransaction = async (req, res) => {
   }
 };
 
+// Get a client's throughput limits, as set and as enforced
+const getClientLimitSettings = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id, {
+      attributes: ["id", "name", ...LIMIT_FIELDS],
+    });
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Client limits retrieved successfully",
+      data: {
+        client,
+        defaults: DEFAULT_LIMITS,
+        effective: getClientLimits(client),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving client limits",
+      error: error.message,
+    });
+  }
+};
+
+// Set a client's throughput limits; null restores the platform default
+const updateClientLimits = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const client = await Client.findByPk(req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const updateData = {};
+    LIMIT_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updateData[field] =
+          req.body[field] === null ? null : parseInt(req.body[field]);
+      }
+    });
+
+    await client.update(updateData);
+
+    const updatedClient = await Client.findByPk(client.id, {
+      attributes: ["id", "name", ...LIMIT_FIELDS],
+    });
+
+    res.json({
+      success: true,
+      message: "Client limits updated successfully",
+      data: {
+        client: updatedClient,
+        defaults: DEFAULT_LIMITS,
+        effective: getClientLimits(updatedClient),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating client limits",
+      error: error.message,
+    });
+  }
+};
+
+// Set the shortcode and keyword that route inbound messages to a client;
+// null removes one
+const updateClientInbound = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const client = await Client.findByPk(req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const { shortcode, inboundKeyword } = req.body;
+    const updateData = {};
+    if (shortcode !== undefined) {
+      updateData.shortcode = shortcode && shortcode.replace(/\D/g, "");
+    }
+    if (inboundKeyword !== undefined) {
+      updateData.inboundKeyword =
+        inboundKeyword && normalizeKeyword(inboundKeyword);
+    }
+
+    for (const [field, value] of Object.entries(updateData)) {
+      if (!value) continue;
+
+      const taken = await Client.count({
+        where: { [field]: value, id: { [Op.ne]: client.id } },
+      });
+      if (taken > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${field} ${value} is already assigned to another client`,
+        });
+      }
+    }
+
+    await client.update(updateData);
+
+    res.json({
+      success: true,
+      message: "Client inbound routing updated successfully",
+      data: {
+        client: {
+          id: client.id,
+          name: client.name,
+          shortcode: client.shortcode,
+          inboundKeyword: client.inboundKeyword,
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating client inbound routing",
+      error: error.message,
+    });
+  }
+};
+
+// Manually credit (positive amount) or debit (negative amount) a client's
+// SMS balance
+const adjustClientBalance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { amount, description } = req.body;
+
+    const client = await Client.findByPk(req.params.id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const smsBalance = await SmsBalance.findOne({
+      where: { clientId: client.id },
+    });
+    const available = smsBalance?.totalSmsAvailable || 0;
+    if (available + parseInt(amount) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Adjustment would make the balance negative. Available: ${available}`,
+      });
+    }
+
+    const { ledgerEntry } = await LedgerEntry.post({
+      clientId: client.id,
+      type: "adjustment",
+      amount: parseInt(amount),
+      description,
+      createdBy: req.admin.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Balance adjusted successfully",
+      data: { ledgerEntry },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error adjusting balance",
+      error: error.message,
+    });
+  }
+};
+
 // Get all transactions
 const getTransactions = async (req, res) => {
   try {
@@ -417,6 +648,10 @@ module.exports = {
   updateClient,
   deleteClient,
   createTransaction,
+  adjustClientBalance,
+  getClientLimitSettings,
+  updateClientLimits,
+  updateClientInbound,
   getTransactions,
   createClientUser,
 };
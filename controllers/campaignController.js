@@ -0,0 +1,508 @@
+const {
+  Campaign,
+  Client,
+  MessageTemplate,
+  SmsHistory,
+  SendJob,
+} = require("../models");
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+const {
+  cancelSend,
+  pauseSend,
+  resumeSend,
+  SendError,
+} = require("../services/sendQueue");
+const {
+  checkTrackLinks,
+  parseScheduledAt,
+  submitSend,
+} = require("../services/sendRequests");
+const { countMessageStatuses } = require("../services/messageStatus");
+const { getClientTimeZone } = require("../services/timezone");
+const sendWorker = require("../services/sendWorker");
+
+// Campaign status from the state of its send job
+const JOB_STATUS_TO_CAMPAIGN = {
+  scheduled: "scheduled",
+  queued: "sending",
+  processing: "sending",
+  paused: "paused",
+  cancelling: "cancelling",
+  completed: "completed",
+  failed: "failed",
+  cancelled: "cancelled",
+};
+
+const smsHistoryInclude = {
+  model: SmsHistory,
+  as: "smsHistory",
+  attributes: [
+    "id",
+    "recipientCount",
+    "smsUsed",
+    "smsRefunded",
+    "status",
+    "clickCount",
+    "uniqueClickCount",
+  ],
+  include: [
+    {
+      model: SendJob,
+      as: "sendJob",
+    },
+  ],
+};
+
+// Campaign with its status and message counters
+const formatCampaign = (campaign, countsById) => {
+  const { smsHistory, ...fields } = campaign.toJSON();
+  const job = smsHistory?.sendJob;
+  const counts = smsHistory && countsById.get(smsHistory.id);
+
+  return {
+    ...fields,
+    status: job ? JOB_STATUS_TO_CAMPAIGN[job.status] : "draft",
+    smsHistoryId: smsHistory?.id || null,
+    sendJob: job || null,
+    recipientCount: smsHistory?.recipientCount || 0,
+    smsUsed: smsHistory?.smsUsed || 0,
+    smsRefunded: smsHistory?.smsRefunded || 0,
+    counters: {
+      queued: counts?.pending || 0,
+      sent: counts ? counts.sent + counts.delivered : 0,
+      delivered: counts?.delivered || 0,
+      failed: counts?.failed || 0,
+      expired: counts?.expired || 0,
+      cancelled: counts?.cancelled || 0,
+      clicks: smsHistory?.clickCount || 0,
+      uniqueClicks: smsHistory?.uniqueClickCount || 0,
+    },
+    // Share of recipients who clicked a tracked link
+    clickThroughRate: smsHistory?.recipientCount
+      ? smsHistory.uniqueClickCount / smsHistory.recipientCount
+      : null,
+  };
+};
+
+const formatCampaigns = async (campaigns) => {
+  const smsHistoryIds = campaigns
+    .filter((campaign) => campaign.smsHistory)
+    .map((campaign) => campaign.smsHistory.id);
+  const countsById =
+    smsHistoryIds.length > 0
+      ? await countMessageStatuses(smsHistoryIds)
+      : new Map();
+
+  return campaigns.map((campaign) => formatCampaign(campaign, countsById));
+};
+
+const findCampaign = (req) =>
+  Campaign.findOne({
+    where: { id: req.params.id, clientId: req.clientId },
+    include: [smsHistoryInclude],
+  });
+
+// Campaign fields from a create/update request. Throws SendError for
+// invalid input.
+const campaignFields = async (req) => {
+  const {
+    name,
+    message,
+    templateId,
+    audience = {},
+    senderId,
+    scheduledAt,
+    timezone,
+    urgent = false,
+    testMode = false,
+    trackLinks = false,
+  } = req.body;
+
+  if (!templateId && !message) {
+    throw new SendError("Message or templateId is required");
+  }
+  checkTrackLinks(trackLinks);
+
+  if (templateId) {
+    const template = await MessageTemplate.findOne({
+      where: { id: templateId, clientId: req.clientId },
+    });
+    if (!template) {
+      throw new SendError("Template not found", 404);
+    }
+  }
+
+  const { sendToAll = false, contactIds = [], groupIds = [] } = audience;
+  if (!sendToAll && contactIds.length === 0 && groupIds.length === 0) {
+    throw new SendError(
+      "Audience must set sendToAll or list contactIds or groupIds"
+    );
+  }
+
+  let sendAt = null;
+  if (scheduledAt) {
+    const client = await Client.findByPk(req.clientId);
+    sendAt = parseScheduledAt(
+      scheduledAt,
+      timezone || getClientTimeZone(client)
+    );
+  }
+
+  return {
+    name,
+    message: templateId ? null : message,
+    templateId: templateId || null,
+    audience: { sendToAll, contactIds, groupIds },
+    senderId: senderId || null,
+    scheduledAt: sendAt,
+    urgent,
+    testMode,
+    trackLinks,
+  };
+};
+
+const sendErrorResponse = (res, error, message) => {
+  if (error instanceof SendError) {
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      retryAfter: error.retryAfter,
+      duplicates: error.duplicates,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+// Get all campaigns for a client
+const getCampaigns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { clientId: req.clientId };
+    if (search) {
+      whereClause.name = { [Op.like]: `%${search}%` };
+    }
+
+    const { count, rows: campaigns } = await Campaign.findAndCountAll({
+      where: whereClause,
+      include: [smsHistoryInclude],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["createdAt", "DESC"]],
+      distinct: true,
+    });
+
+    res.json({
+      success: true,
+      message: "Campaigns retrieved successfully",
+      data: {
+        campaigns: await formatCampaigns(campaigns),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving campaigns",
+      error: error.message,
+    });
+  }
+};
+
+// Get single campaign
+const getCampaign = async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: "Campaign not found",
+      });
+    }
+
+    const [formatted] = await formatCampaigns([campaign]);
+
+    res.json({
+      success: true,
+      message: "Campaign retrieved successfully",
+      data: { campaign: formatted },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving campaign",
+      error: error.message,
+    });
+  }
+};
+
+// Create a draft campaign
+const createCampaign = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const campaign = await Campaign.create({
+      clientId: req.clientId,
+      ...(await campaignFields(req)),
+    });
+
+    const [formatted] = await formatCampaigns([campaign]);
+
+    res.status(201).json({
+      success: true,
+      message: "Campaign created successfully",
+      data: { campaign: formatted },
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, "Error creating campaign");
+  }
+};
+
+// Update a campaign that has not been launched yet
+const updateCampaign = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const campaign = await findCampaign(req);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: "Campaign not found",
+      });
+    }
+
+    if (!campaign.isDraft()) {
+      return res.status(400).json({
+        success: false,
+        message: "Launched campaigns cannot be edited",
+      });
+    }
+
+    await campaign.update(await campaignFields(req));
+
+    const [formatted] = await formatCampaigns([campaign]);
+
+    res.json({
+      success: true,
+      message: "Campaign updated successfully",
+      data: { campaign: formatted },
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, "Error updating campaign");
+  }
+};
+
+// Delete a campaign that has not been launched yet
+const deleteCampaign = async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: "Campaign not found",
+      });
+    }
+
+    if (!campaign.isDraft()) {
+      return res.status(400).json({
+        success: false,
+        message: "Launched campaigns cannot be deleted; cancel them instead",
+      });
+    }
+
+    await campaign.destroy();
+
+    res.json({
+      success: true,
+      message: "Campaign deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting campaign",
+      error: error.message,
+    });
+  }
+};
+
+// Launch a draft campaign: resolve its audience and queue (or schedule)
+// the send
+const launchCampaign = async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: "Campaign not found",
+      });
+    }
+
+    // Claim the launch so two requests cannot both send the campaign
+    const [claimed] = await Campaign.update(
+      { launchedAt: new Date() },
+      { where: { id: campaign.id, launchedAt: null } }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: "Campaign has already been launched",
+      });
+    }
+
+    // A scheduled time that has passed while the campaign was a draft
+    // means send now
+    const scheduledAt =
+      campaign.scheduledAt > new Date()
+        ? campaign.scheduledAt.toISOString()
+        : undefined;
+
+    try {
+      const client = await Client.findByPk(req.clientId);
+      await submitSend(
+        client,
+        {
+          message: campaign.message,
+          templateId: campaign.templateId,
+          ...campaign.audience,
+          senderId: campaign.senderId,
+          scheduledAt,
+          urgent: campaign.urgent,
+          testMode: campaign.testMode,
+          trackLinks: campaign.trackLinks,
+        },
+        { campaignId: campaign.id }
+      );
+    } catch (error) {
+      await Campaign.update(
+        { launchedAt: null },
+        { where: { id: campaign.id } }
+      );
+      throw error;
+    }
+
+    const [formatted] = await formatCampaigns([await findCampaign(req)]);
+
+    res.status(202).json({
+      success: true,
+      message: "Campaign launched successfully",
+      data: { campaign: formatted },
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, "Error launching campaign");
+  }
+};
+
+// Run `action` on the send job of a launched campaign and respond with the
+// updated campaign
+const campaignJobAction = (action, successMessage, errorMessage) => {
+  return async (req, res) => {
+    try {
+      const campaign = await findCampaign(req);
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: "Campaign not found",
+        });
+      }
+
+      const job = campaign.smsHistory?.sendJob;
+      if (!job) {
+        return res.status(400).json({
+          success: false,
+          message: "Campaign has not been launched",
+        });
+      }
+
+      const result = await action(job);
+      const [formatted] = await formatCampaigns([await findCampaign(req)]);
+
+      res.json({
+        success: true,
+        message: successMessage,
+        data: { campaign: formatted, ...result },
+      });
+    } catch (error) {
+      sendErrorResponse(res, error, errorMessage);
+    }
+  };
+};
+
+// Pause a campaign that is sending; it stops before the next batch
+const pauseCampaign = campaignJobAction(
+  async (job) => {
+    await pauseSend(job);
+  },
+  "Campaign paused successfully",
+  "Error pausing campaign"
+);
+
+// Resume a paused campaign
+const resumeCampaign = campaignJobAction(
+  async (job) => {
+    await resumeSend(job);
+    sendWorker.notify();
+  },
+  "Campaign resumed successfully",
+  "Error resuming campaign"
+);
+
+// Cancel a campaign that has not finished and release its unsent credits
+const cancelCampaign = campaignJobAction(
+  async (job) => {
+    const { released, smsBalance, cancelling } = await cancelSend(job);
+    return {
+      cancelling,
+      releasedSms: released,
+      remainingBalance: smsBalance?.totalSmsAvailable ?? 0,
+    };
+  },
+  "Campaign cancelled successfully",
+  "Error cancelling campaign"
+);
+
+module.exports = {
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  launchCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+};
@@ -1,24 +1,64 @@
-const { Contact, SmsBalance } = require("../models");
+const { Client, Contact, ContactGroup } = require("../models");
 const { validationResult } = require("express-validator");
 const { Op } = require("sequelize");
+const {
+  getClientCountry,
+  normalizePhone,
+} = require("../services/phoneNumbers");
+
+// The country the client's numbers are read in
+const findClientCountry = async (req) =>
+  getClientCountry(
+    await Client.findByPk(req.clientId, {
+      attributes: ["id", "defaultCountry"],
+    })
+  );
+
+// Find the group an import should add contacts to, if one was given
+const findImportGroup = async (req) => {
+  const { groupId } = req.body;
+  if (!groupId) return null;
+
+  return ContactGroup.findOne({
+    where: { id: groupId, clientId: req.clientId },
+  });
+};
 
 // Get all contacts for a client
 const getContacts = async (req, res) => {
   try {
-    const { page = 1, limit = 50, search } = req.query;
+    const { page = 1, limit = 50, search, groupId, network } = req.query;
     const offset = (page - 1) * limit;
 
     const whereClause = { clientId: req.clientId };
+    if (network) {
+      whereClause.network = network;
+    }
 
     if (search) {
       whereClause[Op.or] = [
         { name: { [Op.like]: `%${search}%` } },
         { phone: { [Op.like]: `%${search}%` } },
+        { normalizedPhone: { [Op.like]: `%${search}%` } },
       ];
     }
 
+    // Only contacts in the given group(s), e.g. ?groupId=3 or ?groupId=3,4
+    const include = [];
+    if (groupId) {
+      include.push({
+        model: ContactGroup,
+        as: "groups",
+        where: { id: String(groupId).split(","), clientId: req.clientId },
+        attributes: [],
+        through: { attributes: [] },
+      });
+    }
+
     const { count, rows: contacts } = await Contact.findAndCountAll({
       where: whereClause,
+      include,
+      distinct: true,
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [["name", "ASC"]],
@@ -53,6 +93,14 @@ const getContact = async (req, res) => {
 
     const contact = await Contact.findOne({
       where: { id, clientId: req.clientId },
+      include: [
+        {
+          model: ContactGroup,
+          as: "groups",
+          attributes: ["id", "name"],
+          through: { attributes: [] },
+        },
+      ],
     });
 
     if (!contact) {
@@ -88,11 +136,22 @@ const createContact = async (req, res) => {
       });
     }
 
-    const { name, phone } = req.body;
+    const { name, phone, customFields } = req.body;
+
+    const normalized = normalizePhone(phone, await findClientCountry(req));
+    if (!normalized.valid) {
+      return res.status(400).json({
+        success: false,
+        message: normalized.error,
+      });
+    }
 
     // Check if contact already exists for this client
     const existingContact = await Contact.findOne({
-      where: { clientId: req.clientId, phone },
+      where: {
+        clientId: req.clientId,
+        [Op.or]: [{ phone }, { normalizedPhone: normalized.phone }],
+      },
     });
 
     if (existingContact) {
@@ -106,6 +165,9 @@ const createContact = async (req, res) => {
       clientId: req.clientId,
       name,
       phone,
+      normalizedPhone: normalized.phone,
+      network: normalized.network,
+      customFields,
     });
 
     res.status(201).json({
@@ -135,7 +197,7 @@ const updateContact = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { name, phone } = req.body;
+    const { name, phone, customFields } = req.body;
 
     const contact = await Contact.findOne({
       where: { id, clientId: req.clientId },
@@ -148,12 +210,23 @@ const updateContact = async (req, res) => {
       });
     }
 
+    const normalized = normalizePhone(phone, await findClientCountry(req));
+    if (!normalized.valid) {
+      return res.status(400).json({
+        success: false,
+        message: normalized.error,
+      });
+    }
+
     // Check if phone number is being changed and if it conflicts
-    if (phone !== contact.phone) {
+    if (
+      phone !== contact.phone ||
+      normalized.phone !== contact.normalizedPhone
+    ) {
       const existingContact = await Contact.findOne({
         where: {
           clientId: req.clientId,
-          phone,
+          [Op.or]: [{ phone }, { normalizedPhone: normalized.phone }],
           id: { [Op.ne]: id },
         },
       });
@@ -166,7 +239,17 @@ const updateContact = async (req, res) => {
       }
     }
 
-    await contact.update({ name, phone });
+    const updateData = {
+      name,
+      phone,
+      normalizedPhone: normalized.phone,
+      network: normalized.network,
+    };
+    if (customFields !== undefined) {
+      updateData.customFields = customFields;
+    }
+
+    await contact.update(updateData);
 
     res.json({
       success: true,
@@ -225,7 +308,7 @@ const bulkImportContacts = async (req, res) => {
       });
     }
 
-    const { contacts } = req.body;
+    const { contacts, groupId } = req.body;
 
     if (!Array.isArray(contacts) || contacts.length === 0) {
       return res.status(400).json({
@@ -234,17 +317,41 @@ const bulkImportContacts = async (req, res) => {
       });
     }
 
+    const group = await findImportGroup(req);
+    if (groupId && !group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      });
+    }
+
+    const country = await findClientCountry(req);
     const createdContacts = [];
     const skippedContacts = [];
 
     for (const contactData of contacts) {
       try {
+        const normalized = normalizePhone(contactData.phone, country);
+        if (!normalized.valid) {
+          skippedContacts.push({ ...contactData, reason: normalized.error });
+          continue;
+        }
+
         // Check if contact already exists
         const existingContact = await Contact.findOne({
-          where: { clientId: req.clientId, phone: contactData.phone },
+          where: {
+            clientId: req.clientId,
+            [Op.or]: [
+              { phone: contactData.phone },
+              { normalizedPhone: normalized.phone },
+            ],
+          },
         });
 
         if (existingContact) {
+          if (group) {
+            await group.addMembers([existingContact.id]);
+          }
           skippedContacts.push({
             ...contactData,
             reason: "Phone number already exists",
@@ -256,8 +363,15 @@ const bulkImportContacts = async (req, res) => {
           clientId: req.clientId,
           name: contactData.name,
           phone: contactData.phone,
+          normalizedPhone: normalized.phone,
+          network: normalized.network,
+          customFields: contactData.customFields,
         });
 
+        if (group) {
+          await group.addMembers([contact.id]);
+        }
+
         createdContacts.push(contact);
       } catch (error) {
         skippedContacts.push({
@@ -289,7 +403,7 @@ const bulkImportContacts = async (req, res) => {
 // Import contacts from CSV format
 const importContacts = async (req, res) => {
   try {
-    const { data } = req.body;
+    const { data, groupId } = req.body;
 
     if (!data || typeof data !== "string") {
       return res.status(400).json({
@@ -298,51 +412,91 @@ const importContacts = async (req, res) => {
       });
     }
 
+    const group = await findImportGroup(req);
+    if (groupId && !group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      });
+    }
+
+    const country = await findClientCountry(req);
     const lines = data.trim().split("\n");
     const contactsToInsert = [];
+    const invalidContacts = [];
 
     for (const line of lines) {
       if (!line.trim()) continue;
       const [name, phone] = line.split(",").map((item) => item.trim());
       if (!name || !phone) continue;
 
+      const normalized = normalizePhone(phone, country);
+      if (!normalized.valid) {
+        invalidContacts.push({ name, phone, reason: normalized.error });
+        continue;
+      }
+
       contactsToInsert.push({
         clientId: req.clientId,
         name,
         phone,
+        normalizedPhone: normalized.phone,
+        network: normalized.network,
       });
     }
 
-    // remove duplicates inside CSV itself
+    // remove duplicates inside CSV itself, however they were written
     const uniqueContacts = Array.from(
-      new Map(
-        contactsToInsert.map((c) => [`${c.clientId}-${c.phone}`, c])
-      ).values()
+      new Map(contactsToInsert.map((c) => [c.normalizedPhone, c])).values()
     );
+    const normalizedPhones = uniqueContacts.map((c) => c.normalizedPhone);
 
     // find already existing numbers
     const existing = await Contact.findAll({
       where: {
         clientId: req.clientId,
-        phone: uniqueContacts.map((c) => c.phone),
+        [Op.or]: [
+          { phone: uniqueContacts.map((c) => c.phone) },
+          { normalizedPhone: normalizedPhones },
+        ],
       },
-      attributes: ["phone"],
+      attributes: ["phone", "normalizedPhone"],
     });
     const existingPhones = new Set(existing.map((e) => e.phone));
+    const existingNormalized = new Set(existing.map((e) => e.normalizedPhone));
 
     const newContacts = uniqueContacts.filter(
-      (c) => !existingPhones.has(c.phone)
+      (c) =>
+        !existingPhones.has(c.phone) &&
+        !existingNormalized.has(c.normalizedPhone)
     );
 
     // Bulk insert only new contacts
     await Contact.bulkCreate(newContacts);
 
+    // Add every imported number, new or existing, to the target group
+    if (group) {
+      const groupContacts = await Contact.findAll({
+        where: {
+          clientId: req.clientId,
+          [Op.or]: [
+            { phone: uniqueContacts.map((c) => c.phone) },
+            { normalizedPhone: normalizedPhones },
+          ],
+        },
+        attributes: ["id"],
+      });
+      await group.addMembers(groupContacts.map((c) => c.id));
+    }
+
     res.json({
       success: true,
       message: "Import completed",
       data: {
         created: newContacts.length,
-        skipped: existingPhones.size,
+        skipped: uniqueContacts.length - newContacts.length,
+        invalid: invalidContacts.length,
+        invalidContacts,
       },
     });
   } catch (error) {
@@ -0,0 +1,59 @@
+const { SendJob } = require("../models");
+const { providerNames } = require("../services/smsProviders");
+const { getBreaker } = require("../services/circuitBreaker");
+const sendWorker = require("../services/sendWorker");
+
+// Admin: circuit breaker state of every SMS gateway
+const getGateways = async (req, res) => {
+  try {
+    const queuedJobs = await SendJob.count({ where: { status: "queued" } });
+
+    res.json({
+      success: true,
+      message: "Gateway status retrieved successfully",
+      data: {
+        gateways: providerNames.map((name) => getBreaker(name).toJSON()),
+        queuedJobs,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving gateway status",
+      error: error.message,
+    });
+  }
+};
+
+// Admin: close a gateway's circuit breaker so queued sends resume right away
+const resetGateway = async (req, res) => {
+  try {
+    if (!providerNames.includes(req.params.provider)) {
+      return res.status(404).json({
+        success: false,
+        message: "Gateway not found",
+      });
+    }
+
+    const breaker = getBreaker(req.params.provider);
+    breaker.reset();
+    sendWorker.notify();
+
+    res.json({
+      success: true,
+      message: "Gateway circuit breaker reset successfully",
+      data: { gateway: breaker.toJSON() },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error resetting gateway",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getGateways,
+  resetGateway,
+};
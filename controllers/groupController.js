@@ -0,0 +1,331 @@
+const { Contact, ContactGroup, ContactGroupMember } = require("../models");
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+// Find a group owned by the current client
+const findClientGroup = (req) =>
+  ContactGroup.findOne({
+    where: { id: req.params.id, clientId: req.clientId },
+  });
+
+// Get all groups for a client with member counts
+const getGroups = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { clientId: req.clientId };
+
+    if (search) {
+      whereClause.name = { [Op.like]: `%${search}%` };
+    }
+
+    const { count, rows: groups } = await ContactGroup.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["name", "ASC"]],
+    });
+
+    const memberCounts = await ContactGroupMember.count({
+      where: { groupId: groups.map((g) => g.id) },
+      group: ["groupId"],
+    });
+    const countByGroup = new Map(
+      memberCounts.map((row) => [row.groupId, row.count])
+    );
+
+    res.json({
+      success: true,
+      message: "Groups retrieved successfully",
+      data: {
+        groups: groups.map((group) => ({
+          ...group.toJSON(),
+          contactCount: countByGroup.get(group.id) || 0,
+        })),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving groups",
+      error: error.message,
+    });
+  }
+};
+
+// Get single group
+const getGroup = async (req, res) => {
+  try {
+    const group = await findClientGroup(req);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      });
+    }
+
+    const contactCount = await ContactGroupMember.count({
+      where: { groupId: group.id },
+    });
+
+    res.json({
+      success: true,
+      message: "Group retrieved successfully",
+      data: { group: { ...group.toJSON(), contactCount } },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving group",
+      error: error.message,
+    });
+  }
+};
+
+// Create new group
+const createGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, description } = req.body;
+
+    // Check if group name is already used by this client
+    const existingGroup = await ContactGroup.findOne({
+      where: { clientId: req.clientId, name },
+    });
+
+    if (existingGroup) {
+      return res.status(400).json({
+        success: false,
+        message: "Group with this name already exists",
+      });
+    }
+
+    const group = await ContactGroup.create({
+      clientId: req.clientId,
+      name,
+      description,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Group created successfully",
+      data: { group },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating group",
+      error: error.message,
+    });
+  }
+};
+
+// Update group
+const updateGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    const group = await findClientGroup(req);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      });
+    }
+
+    // Check if name is being changed and if it conflicts
+    if (name !== group.name) {
+      const existingGroup = await ContactGroup.findOne({
+        where: {
+          clientId: req.clientId,
+          name,
+          id: { [Op.ne]: id },
+        },
+      });
+
+      if (existingGroup) {
+        return res.status(400).json({
+          success: false,
+          message: "Group with this name already exists",
+        });
+      }
+    }
+
+    await group.update({ name, description });
+
+    res.json({
+      success: true,
+      message: "Group updated successfully",
+      data: { group },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating group",
+      error: error.message,
+    });
+  }
+};
+
+// Delete group (contacts themselves are kept)
+const deleteGroup = async (req, res) => {
+  try {
+    const group = await findClientGroup(req);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      });
+    }
+
+    await ContactGroupMember.destroy({ where: { groupId: group.id } });
+    await group.destroy();
+
+    res.json({
+      success: true,
+      message: "Group deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting group",
+      error: error.message,
+    });
+  }
+};
+
+// Add contacts to a group in bulk
+const addGroupContacts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { contactIds } = req.body;
+
+    const group = await findClientGroup(req);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      });
+    }
+
+    const contacts = await Contact.findAll({
+      where: { id: contactIds, clientId: req.clientId },
+      attributes: ["id"],
+    });
+
+    if (contacts.length !== new Set(contactIds).size) {
+      return res.status(400).json({
+        success: false,
+        message: "Some contacts not found or do not belong to this client",
+      });
+    }
+
+    await group.addMembers(contacts.map((c) => c.id));
+
+    const contactCount = await ContactGroupMember.count({
+      where: { groupId: group.id },
+    });
+
+    res.json({
+      success: true,
+      message: "Contacts added to group successfully",
+      data: { group: { ...group.toJSON(), contactCount } },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error adding contacts to group",
+      error: error.message,
+    });
+  }
+};
+
+// Remove contacts from a group in bulk
+const removeGroupContacts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { contactIds } = req.body;
+
+    const group = await findClientGroup(req);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found",
+      });
+    }
+
+    const removed = await group.removeMembers(contactIds);
+
+    const contactCount = await ContactGroupMember.count({
+      where: { groupId: group.id },
+    });
+
+    res.json({
+      success: true,
+      message: "Contacts removed from group successfully",
+      data: { removed, group: { ...group.toJSON(), contactCount } },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error removing contacts from group",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupContacts,
+  removeGroupContacts,
+};
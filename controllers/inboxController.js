@@ -0,0 +1,287 @@
+const { Op } = require("sequelize");
+const {
+  sequelize,
+  Client,
+  Contact,
+  InboundMessage,
+  SmsHistory,
+  SmsMessage,
+} = require("../models");
+const { validationResult } = require("express-validator");
+const { SendError } = require("../services/sendQueue");
+const { findContactByPhone, sendReply } = require("../services/inbox");
+const { getClientCountry, toE164 } = require("../services/phoneNumbers");
+
+const UNREAD_COUNT = sequelize.literal(
+  "SUM(CASE WHEN readAt IS NULL THEN 1 ELSE 0 END)"
+);
+
+// The number a conversation is with, as stored: read in the client's
+// country, or as given when it is not a valid number
+const threadPhone = async (req) => {
+  const client = await Client.findByPk(req.clientId, {
+    attributes: ["id", "defaultCountry"],
+  });
+  return toE164(req.params.phone, getClientCountry(client)) || req.params.phone;
+};
+
+// List conversations (one per sender number), most recent first.
+// `unread=true` only lists conversations with unread messages.
+const getInbox = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const offset = (page - 1) * limit;
+
+    const query = {
+      where: { clientId: req.clientId },
+      group: ["phone"],
+      having:
+        unread === "true" ? sequelize.where(UNREAD_COUNT, Op.gt, 0) : undefined,
+    };
+
+    const total = (await InboundMessage.count(query)).length;
+    const groups = await InboundMessage.findAll({
+      ...query,
+      attributes: [
+        "phone",
+        [sequelize.fn("MAX", sequelize.col("receivedAt")), "lastMessageAt"],
+        [sequelize.fn("COUNT", sequelize.col("id")), "messageCount"],
+        [UNREAD_COUNT, "unreadCount"],
+      ],
+      order: [[sequelize.literal("lastMessageAt"), "DESC"]],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      raw: true,
+    });
+
+    const threads = [];
+    for (const group of groups) {
+      const lastMessage = await InboundMessage.findOne({
+        where: { clientId: req.clientId, phone: group.phone },
+        include: [
+          { model: Contact, as: "contact", attributes: ["id", "name"] },
+        ],
+        order: [["receivedAt", "DESC"]],
+      });
+
+      threads.push({
+        phone: group.phone,
+        contact: lastMessage.contact,
+        lastMessage: {
+          id: lastMessage.id,
+          message: lastMessage.message,
+          receivedAt: lastMessage.receivedAt,
+        },
+        lastMessageAt: lastMessage.receivedAt,
+        messageCount: parseInt(group.messageCount),
+        unreadCount: parseInt(group.unreadCount),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Inbox retrieved successfully",
+      data: {
+        threads,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving inbox",
+      error: error.message,
+    });
+  }
+};
+
+// Get a conversation with one number: messages received from it and sent
+// to it, oldest first. Returns the latest `limit` messages; pass the
+// returned `nextBefore` as `before` for older ones.
+const getThread = async (req, res) => {
+  try {
+    const phone = await threadPhone(req);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const before = req.query.before ? new Date(req.query.before) : null;
+
+    if (before && isNaN(before)) {
+      return res.status(400).json({
+        success: false,
+        message: "before must be a valid date",
+      });
+    }
+
+    const received = await InboundMessage.count({
+      where: { clientId: req.clientId, phone },
+    });
+    if (received === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
+    // One more than needed from each side tells whether older ones exist
+    const inbound = await InboundMessage.findAll({
+      where: {
+        clientId: req.clientId,
+        phone,
+        ...(before && { receivedAt: { [Op.lt]: before } }),
+      },
+      order: [["receivedAt", "DESC"]],
+      limit: limit + 1,
+    });
+    const outbound = await SmsMessage.findAll({
+      where: {
+        clientId: req.clientId,
+        phone,
+        ...(before && { createdAt: { [Op.lt]: before } }),
+      },
+      include: [
+        { model: SmsHistory, as: "smsHistory", attributes: ["message"] },
+      ],
+      order: [["createdAt", "DESC"]],
+      limit: limit + 1,
+    });
+
+    const merged = [
+      ...inbound.map((m) => ({
+        direction: "inbound",
+        id: m.id,
+        message: m.message,
+        at: m.receivedAt,
+        readAt: m.readAt,
+      })),
+      ...outbound.map((m) => ({
+        direction: "outbound",
+        id: m.id,
+        smsHistoryId: m.smsHistoryId,
+        message: m.message || m.smsHistory.message,
+        status: m.status,
+        at: m.createdAt,
+      })),
+    ].sort((a, b) => new Date(b.at) - new Date(a.at));
+
+    const messages = merged.slice(0, limit).reverse();
+    const hasMore = merged.length > limit;
+
+    res.json({
+      success: true,
+      message: "Conversation retrieved successfully",
+      data: {
+        phone,
+        contact: await findContactByPhone(req.clientId, phone),
+        messages,
+        hasMore,
+        nextBefore: hasMore ? messages[0].at : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving conversation",
+      error: error.message,
+    });
+  }
+};
+
+// Mark every message received from a number as read
+const markThreadRead = async (req, res) => {
+  try {
+    const phone = await threadPhone(req);
+
+    const [marked] = await InboundMessage.update(
+      { readAt: new Date() },
+      { where: { clientId: req.clientId, phone, readAt: null } }
+    );
+
+    res.json({
+      success: true,
+      message: "Conversation marked as read",
+      data: { phone, marked },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error marking conversation as read",
+      error: error.message,
+    });
+  }
+};
+
+// Reply to a number that has written to the client
+const replyToThread = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const phone = await threadPhone(req);
+
+    const received = await InboundMessage.count({
+      where: { clientId: req.clientId, phone },
+    });
+    if (received === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
+    const client = await Client.findByPk(req.clientId);
+    const { job, smsHistory, smsBalance } = await sendReply(client, phone, {
+      message: req.body.message,
+      senderId: req.body.senderId,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Reply queued for sending",
+      data: {
+        jobId: job.id,
+        smsHistoryId: smsHistory.id,
+        phone,
+        senderId: smsHistory.senderId,
+        encoding: smsHistory.encoding,
+        segments: smsHistory.segments,
+        smsUsed: smsHistory.smsUsed,
+        testMode: job.testMode,
+        remainingBalance: smsBalance?.totalSmsAvailable ?? 0,
+      },
+    });
+  } catch (error) {
+    if (error instanceof SendError) {
+      if (error.retryAfter) {
+        res.set("Retry-After", String(error.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error sending reply",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getInbox,
+  getThread,
+  markThreadRead,
+  replyToThread,
+};
@@ -0,0 +1,233 @@
+const { KeywordRule, MessageTemplate, ContactGroup } = require("../models");
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+const { normalizeKeyword } = require("../services/inbox");
+
+const RULE_INCLUDES = [
+  { model: MessageTemplate, as: "replyTemplate", attributes: ["id", "name"] },
+  { model: ContactGroup, as: "group", attributes: ["id", "name"] },
+];
+
+// Turn a request body into rule fields, checking that the referenced
+// template and group belong to the client and that the keyword is free.
+// Returns `{ fields }` or `{ status, message }` for an invalid rule.
+const buildRule = async (req, ruleId) => {
+  const { keyword, groupId, replyTemplateId, suppress, webhookUrl, isActive } =
+    req.body;
+
+  const fields = {
+    keyword: keyword ? normalizeKeyword(keyword) : null,
+    groupId: groupId || null,
+    replyTemplateId: replyTemplateId || null,
+    suppress: Boolean(suppress),
+    webhookUrl: webhookUrl || null,
+    isActive: isActive !== undefined ? isActive : true,
+  };
+
+  if (keyword && !fields.keyword) {
+    return { status: 400, message: "Keyword must contain letters or digits" };
+  }
+
+  if (
+    !fields.groupId &&
+    !fields.replyTemplateId &&
+    !fields.suppress &&
+    !fields.webhookUrl
+  ) {
+    return {
+      status: 400,
+      message:
+        "A rule needs at least one action: groupId, replyTemplateId, suppress or webhookUrl",
+    };
+  }
+
+  if (fields.replyTemplateId) {
+    const template = await MessageTemplate.count({
+      where: { id: fields.replyTemplateId, clientId: req.clientId },
+    });
+    if (!template) {
+      return { status: 404, message: "Template not found" };
+    }
+  }
+
+  if (fields.groupId) {
+    const group = await ContactGroup.count({
+      where: { id: fields.groupId, clientId: req.clientId },
+    });
+    if (!group) {
+      return { status: 404, message: "Group not found" };
+    }
+  }
+
+  const existingRule = await KeywordRule.findOne({
+    where: {
+      clientId: req.clientId,
+      keyword: fields.keyword,
+      ...(ruleId && { id: { [Op.ne]: ruleId } }),
+    },
+  });
+  if (existingRule) {
+    return {
+      status: 400,
+      message: fields.keyword
+        ? `A rule for keyword ${fields.keyword} already exists`
+        : "A fallback rule already exists",
+    };
+  }
+
+  return { fields };
+};
+
+// Get all keyword rules for a client
+const getKeywordRules = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: rules } = await KeywordRule.findAndCountAll({
+      where: { clientId: req.clientId },
+      include: RULE_INCLUDES,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["keyword", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      message: "Keyword rules retrieved successfully",
+      data: {
+        rules,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving keyword rules",
+      error: error.message,
+    });
+  }
+};
+
+// Create a keyword rule; without a keyword it is the fallback rule
+const createKeywordRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { fields, status, message } = await buildRule(req);
+    if (!fields) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const rule = await KeywordRule.create({
+      clientId: req.clientId,
+      ...fields,
+    });
+    await rule.reload({ include: RULE_INCLUDES });
+
+    res.status(201).json({
+      success: true,
+      message: "Keyword rule created successfully",
+      data: { rule },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating keyword rule",
+      error: error.message,
+    });
+  }
+};
+
+// Update keyword rule
+const updateKeywordRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const rule = await KeywordRule.findOne({
+      where: { id: req.params.id, clientId: req.clientId },
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Keyword rule not found",
+      });
+    }
+
+    const { fields, status, message } = await buildRule(req, rule.id);
+    if (!fields) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await rule.update(fields);
+    await rule.reload({ include: RULE_INCLUDES });
+
+    res.json({
+      success: true,
+      message: "Keyword rule updated successfully",
+      data: { rule },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating keyword rule",
+      error: error.message,
+    });
+  }
+};
+
+// Delete keyword rule
+const deleteKeywordRule = async (req, res) => {
+  try {
+    const rule = await KeywordRule.findOne({
+      where: { id: req.params.id, clientId: req.clientId },
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Keyword rule not found",
+      });
+    }
+
+    await rule.destroy();
+
+    res.json({
+      success: true,
+      message: "Keyword rule deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting keyword rule",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getKeywordRules,
+  createKeywordRule,
+  updateKeywordRule,
+  deleteKeywordRule,
+};
@@ -0,0 +1,42 @@
+const { ShortLink } = require("../models");
+const { recordClick } = require("../services/linkTracking");
+
+// Redirect a short link to its URL and record the click. HEAD requests
+// (link previews, crawlers checking the link) are redirected without
+// counting.
+const followLink = async (req, res) => {
+  try {
+    const link = await ShortLink.findOne({ where: { code: req.params.code } });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Link not found",
+      });
+    }
+
+    if (req.method !== "HEAD") {
+      try {
+        await recordClick(link, {
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        });
+      } catch (error) {
+        // A failed count must not keep the recipient from their page
+        console.error(`Recording click on ${link.code} failed:`, error);
+      }
+    }
+
+    res.redirect(302, link.url);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error following link",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  followLink,
+};
@@ -0,0 +1,68 @@
+const { SmsHistory } = require("../models");
+const {
+  createdBetween,
+  networkDeliveryReport,
+} = require("../services/networkReports");
+
+// Delivery per mobile network for messages created between `from` and `to`.
+// Clients see their own messages, optionally of one send (`smsHistoryId`).
+// Admins see every client's (or one `clientId`'s) broken down by the
+// provider each network was routed through, optionally for one `provider`.
+const getNetworkReport = async (req, res) => {
+  try {
+    const { clientId, provider, smsHistoryId } = req.query;
+
+    let whereClause;
+    try {
+      whereClause = createdBetween(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (req.admin) {
+      if (clientId) whereClause.clientId = clientId;
+      if (provider) whereClause.provider = provider;
+    } else {
+      whereClause.clientId = req.clientId;
+    }
+
+    if (smsHistoryId) {
+      const smsHistory = await SmsHistory.findOne({
+        where: req.admin
+          ? { id: smsHistoryId }
+          : { id: smsHistoryId, clientId: req.clientId },
+      });
+
+      if (!smsHistory) {
+        return res.status(404).json({
+          success: false,
+          message: "SMS history not found",
+        });
+      }
+      whereClause.smsHistoryId = smsHistory.id;
+    }
+
+    const networks = await networkDeliveryReport(whereClause, {
+      byProvider: Boolean(req.admin),
+    });
+
+    res.json({
+      success: true,
+      message: "Network report generated successfully",
+      data: { networks },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error generating network report",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getNetworkReport,
+};
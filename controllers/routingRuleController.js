@@ -0,0 +1,190 @@
+const { Client, RoutingRule } = require("../models");
+const { validationResult } = require("express-validator");
+const { getNetwork, networkList } = require("../services/mobileNetworks");
+
+// A rule with the network's name and country
+const formatRule = (rule) => ({
+  ...rule.toJSON(),
+  networkName: getNetwork(rule.network)?.name || null,
+  country: getNetwork(rule.network)?.country || null,
+});
+
+// Admin: mobile networks that can be detected and routed
+const getNetworks = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: "Networks retrieved successfully",
+      data: { networks: networkList },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving networks",
+      error: error.message,
+    });
+  }
+};
+
+// Admin: list routing rules. `clientId` lists a client's own rules,
+// `clientId=none` the platform-wide ones; otherwise all rules.
+const getRoutingRules = async (req, res) => {
+  try {
+    const { clientId } = req.query;
+
+    const whereClause = {};
+    if (clientId) {
+      whereClause.clientId = clientId === "none" ? null : clientId;
+    }
+
+    const rules = await RoutingRule.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: Client,
+          as: "client",
+          attributes: ["id", "name"],
+        },
+      ],
+      order: [
+        ["clientId", "ASC"],
+        ["network", "ASC"],
+      ],
+    });
+
+    res.json({
+      success: true,
+      message: "Routing rules retrieved successfully",
+      data: { rules: rules.map(formatRule) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving routing rules",
+      error: error.message,
+    });
+  }
+};
+
+// Admin: route a network's messages through a provider, for every client
+// or, with `clientId`, for one client only
+const createRoutingRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { network, provider } = req.body;
+    const clientId = req.body.clientId || null;
+
+    if (clientId && !(await Client.findByPk(clientId))) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const existingRule = await RoutingRule.findOne({
+      where: { clientId, network },
+    });
+
+    if (existingRule) {
+      return res.status(400).json({
+        success: false,
+        message: `A routing rule for ${network} already exists`,
+      });
+    }
+
+    const rule = await RoutingRule.create({ clientId, network, provider });
+
+    res.status(201).json({
+      success: true,
+      message: "Routing rule created successfully",
+      data: { rule: formatRule(rule) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating routing rule",
+      error: error.message,
+    });
+  }
+};
+
+// Admin: change the provider a rule routes through
+const updateRoutingRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const rule = await RoutingRule.findByPk(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Routing rule not found",
+      });
+    }
+
+    await rule.update({ provider: req.body.provider });
+
+    res.json({
+      success: true,
+      message: "Routing rule updated successfully",
+      data: { rule: formatRule(rule) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating routing rule",
+      error: error.message,
+    });
+  }
+};
+
+// Admin: delete a routing rule; the network goes back to the client's
+// provider (or the platform-wide rule, for a client's own rule)
+const deleteRoutingRule = async (req, res) => {
+  try {
+    const rule = await RoutingRule.findByPk(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Routing rule not found",
+      });
+    }
+
+    await rule.destroy();
+
+    res.json({
+      success: true,
+      message: "Routing rule deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting routing rule",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getNetworks,
+  getRoutingRules,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+};
@@ -0,0 +1,291 @@
+const { sequelize, SenderId, Client } = require("../models");
+const { validationResult } = require("express-validator");
+
+// Get sender IDs for a client
+const getSenderIds = async (req, res) => {
+  try {
+    const senderIds = await SenderId.findAll({
+      where: { clientId: req.clientId },
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      message: "Sender IDs retrieved successfully",
+      data: { senderIds },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving sender IDs",
+      error: error.message,
+    });
+  }
+};
+
+// Request a new sender ID; it can be used once an admin approves it
+const requestSenderId = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, purpose } = req.body;
+
+    const existingSenderId = await SenderId.findOne({
+      where: { clientId: req.clientId, name },
+    });
+
+    if (existingSenderId) {
+      return res.status(400).json({
+        success: false,
+        message: "Sender ID has already been requested",
+      });
+    }
+
+    const senderId = await SenderId.create({
+      clientId: req.clientId,
+      name,
+      purpose,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Sender ID requested successfully",
+      data: { senderId },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error requesting sender ID",
+      error: error.message,
+    });
+  }
+};
+
+// Make an approved sender ID the client's default
+const setDefaultSenderId = async (req, res) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { id } = req.params;
+
+    const senderId = await SenderId.findOne({
+      where: { id, clientId: req.clientId },
+      transaction,
+    });
+
+    if (!senderId) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: "Sender ID not found",
+      });
+    }
+
+    if (senderId.status !== "approved") {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Only approved sender IDs can be the default",
+      });
+    }
+
+    await SenderId.update(
+      { isDefault: false },
+      { where: { clientId: req.clientId }, transaction }
+    );
+    await senderId.update({ isDefault: true }, { transaction });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: "Default sender ID updated successfully",
+      data: { senderId },
+    });
+  } catch (error) {
+    await transaction.rollback();
+    res.status(500).json({
+      success: false,
+      message: "Error updating default sender ID",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a sender ID
+const deleteSenderId = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const senderId = await SenderId.findOne({
+      where: { id, clientId: req.clientId },
+    });
+
+    if (!senderId) {
+      return res.status(404).json({
+        success: false,
+        message: "Sender ID not found",
+      });
+    }
+
+    await senderId.destroy();
+
+    res.json({
+      success: true,
+      message: "Sender ID deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting sender ID",
+      error: error.message,
+    });
+  }
+};
+
+// Admin: get sender ID requests across clients
+const getAllSenderIds = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, clientId } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (status) {
+      whereClause.status = status;
+    }
+    if (clientId) {
+      whereClause.clientId = clientId;
+    }
+
+    const { count, rows: senderIds } = await SenderId.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Client,
+          as: "client",
+          attributes: ["id", "name", "email"],
+        },
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      message: "Sender IDs retrieved successfully",
+      data: {
+        senderIds,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving sender IDs",
+      error: error.message,
+    });
+  }
+};
+
+// Admin: approve a sender ID. The client's first approved ID becomes its
+// default.
+const approveSenderId = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const senderId = await SenderId.findByPk(id);
+    if (!senderId) {
+      return res.status(404).json({
+        success: false,
+        message: "Sender ID not found",
+      });
+    }
+
+    const hasDefault = await SenderId.count({
+      where: {
+        clientId: senderId.clientId,
+        status: "approved",
+        isDefault: true,
+      },
+    });
+
+    await senderId.update({
+      status: "approved",
+      isDefault: senderId.isDefault || hasDefault === 0,
+      rejectionReason: null,
+      reviewedBy: req.admin.id,
+      reviewedAt: new Date(),
+    });
+
+    res.json({
+      success: true,
+      message: "Sender ID approved successfully",
+      data: { senderId },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error approving sender ID",
+      error: error.message,
+    });
+  }
+};
+
+// Admin: reject a sender ID
+const rejectSenderId = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const senderId = await SenderId.findByPk(id);
+    if (!senderId) {
+      return res.status(404).json({
+        success: false,
+        message: "Sender ID not found",
+      });
+    }
+
+    await senderId.update({
+      status: "rejected",
+      isDefault: false,
+      rejectionReason: reason,
+      reviewedBy: req.admin.id,
+      reviewedAt: new Date(),
+    });
+
+    res.json({
+      success: true,
+      message: "Sender ID rejected successfully",
+      data: { senderId },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error rejecting sender ID",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getSenderIds,
+  requestSenderId,
+  setDefaultSenderId,
+  deleteSenderId,
+  getAllSenderIds,
+  approveSenderId,
+  rejectSenderId,
+};
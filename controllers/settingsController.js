@@ -0,0 +1,128 @@
+const { Client } = require("../models");
+const { validationResult } = require("express-validator");
+const { DEFAULT_TIMEZONE } = require("../services/timezone");
+const { nextAllowedTime } = require("../services/sendWindows");
+const { getDuplicateSettings } = require("../services/duplicateSends");
+const { getClientCountry } = require("../services/phoneNumbers");
+
+const SEND_SETTING_FIELDS = [
+  "timezone",
+  "sendWindowStart",
+  "sendWindowEnd",
+  "blackoutDates",
+  "duplicateWindowHours",
+  "duplicatePolicy",
+  "defaultCountry",
+];
+
+// Settings as stored, plus what they mean right now
+const formatSendSettings = (client) => {
+  const now = new Date();
+  const nextSendAt = nextAllowedTime(client, now);
+
+  return {
+    timezone: client.timezone,
+    effectiveTimezone: client.timezone || DEFAULT_TIMEZONE,
+    sendWindowStart: client.sendWindowStart,
+    sendWindowEnd: client.sendWindowEnd,
+    blackoutDates: client.blackoutDates || [],
+    duplicateWindowHours: client.duplicateWindowHours,
+    effectiveDuplicateWindowHours: getDuplicateSettings(client).windowHours,
+    duplicatePolicy: client.duplicatePolicy,
+    defaultCountry: client.defaultCountry,
+    effectiveDefaultCountry: getClientCountry(client),
+    canSendNow: nextSendAt <= now,
+    nextSendAt,
+  };
+};
+
+// Get the client's sending settings (time zone, window, blackout dates,
+// duplicate protection, default country)
+const getSendSettings = async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.clientId, {
+      attributes: ["id", ...SEND_SETTING_FIELDS],
+    });
+
+    res.json({
+      success: true,
+      message: "Send settings retrieved successfully",
+      data: { settings: formatSendSettings(client) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving send settings",
+      error: error.message,
+    });
+  }
+};
+
+// Update the client's sending settings. Null clears a setting.
+const updateSendSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const client = await Client.findByPk(req.clientId);
+
+    const updateData = {};
+    SEND_SETTING_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+
+    if (Array.isArray(updateData.blackoutDates)) {
+      updateData.blackoutDates = [...new Set(updateData.blackoutDates)].sort();
+    }
+
+    const windowStart =
+      updateData.sendWindowStart !== undefined
+        ? updateData.sendWindowStart
+        : client.sendWindowStart;
+    const windowEnd =
+      updateData.sendWindowEnd !== undefined
+        ? updateData.sendWindowEnd
+        : client.sendWindowEnd;
+
+    if (Boolean(windowStart) !== Boolean(windowEnd)) {
+      return res.status(400).json({
+        success: false,
+        message: "sendWindowStart and sendWindowEnd must be set together",
+      });
+    }
+
+    if (windowStart && windowStart === windowEnd) {
+      return res.status(400).json({
+        success: false,
+        message: "sendWindowStart and sendWindowEnd cannot be the same",
+      });
+    }
+
+    await client.update(updateData);
+
+    res.json({
+      success: true,
+      message: "Send settings updated successfully",
+      data: { settings: formatSendSettings(client) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating send settings",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getSendSettings,
+  updateSendSettings,
+};
@@ -1,15 +1,40 @@
-const { Contact, SmsBalance, SmsHistory } = require("../models");
+const {
+  Client,
+  Contact,
+  SmsBalance,
+  SmsHistory,
+  SmsMessage,
+  SendJob,
+  LedgerEntry,
+  ShortLink,
+} = require("../models");
 const { validationResult } = require("express-validator");
-const sendSMS = require("../send_sms");
-const addPrefixToPhoneNumber = require("../add_number_prefix");
+const { Op } = require("sequelize");
+const {
+  planSend,
+  excludeRecentDuplicates,
+  cancelSend,
+  rescheduleSend,
+  SendError,
+  DuplicateSendError,
+} = require("../services/sendQueue");
+const { getDuplicateSettings } = require("../services/duplicateSends");
+const { shortLinkUrl } = require("../services/linkTracking");
+const { getClientTimeZone } = require("../services/timezone");
+const { getClientCountry, toE164 } = require("../services/phoneNumbers");
+const { nextAllowedTime } = require("../services/sendWindows");
+const {
+  parseScheduledAt,
+  prepareSend,
+  submitSend,
+} = require("../services/sendRequests");
 
-const MAX_SMS_PER_REQUEST = 100000; // Increased to handle large volumes
-const BATCH_SIZE = 1000; // Adjusted for better performance with large datasets
-const MAX_CONCURRENT_BATCHES = 10; // Limit concurrent batches to manage memory
+const PREVIEW_SAMPLE_SIZE = 5;
 
+// Queue an SMS send; delivery happens in the background send worker.
+// The text comes from `message` or a saved `templateId`; placeholders are
+// rendered per contact. With `scheduledAt` the send is held until then.
 const sendSms = async (req, res) => {
-  const transaction = await SmsBalance.sequelize.transaction();
-
   try {
     // Validate request
     const errors = validationResult(req);
@@ -21,124 +46,157 @@ const sendSms = async (req, res) => {
       });
     }
 
-    const { message, contactIds, sendToAll } = req.body;
+    const client = await Client.findByPk(req.clientId);
+    const { job, smsHistory, smsBalance, skipped, contacts, sendAt, deferred } =
+      await submitSend(client, req.body);
 
-    if (
-      !message ||
-      typeof message !== "string" ||
-      message.trim().length === 0
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: "Message is required and cannot be empty",
-      });
-    }
-
-    // Get contacts
-    let contacts = [];
-    if (sendToAll) {
-      contacts = await Contact.findAll({
-        where: { clientId: req.clientId },
-        transaction,
-      });
-    } else if (contactIds && Array.isArray(contactIds)) {
-      contacts = await Contact.findAll({
-        where: { id: contactIds, clientId: req.clientId },
-        transaction,
-      });
-      if (contacts.length !== contactIds.length) {
-        await transaction.rollback();
-        return res.status(400).json({
-          success: false,
-          message: "Some contacts not found or do not belong to this client",
-        });
+    res.status(202).json({
+      success: true,
+      message: deferred
+        ? "SMS deferred to the next allowed sending time"
+        : sendAt
+          ? "SMS scheduled for sending"
+          : "SMS queued for sending",
+      data: {
+        jobId: job.id,
+        smsHistoryId: smsHistory.id,
+        totalContacts: contacts.length,
+        recipientCount: smsHistory.recipientCount,
+        skipped,
+        senderId: smsHistory.senderId,
+        encoding: smsHistory.encoding,
+        segments: smsHistory.segments,
+        smsUsed: smsHistory.smsUsed,
+        status: job.status,
+        scheduledAt: job.scheduledAt,
+        deferred,
+        urgent: job.urgent,
+        testMode: job.testMode,
+        remainingBalance: smsBalance?.totalSmsAvailable ?? 0,
+      },
+    });
+  } catch (error) {
+    if (error instanceof SendError) {
+      if (error.retryAfter) {
+        res.set("Retry-After", String(error.retryAfter));
       }
-    } else {
-      await transaction.rollback();
-      return res.status(400).json({
+      return res.status(error.statusCode).json({
         success: false,
-        message: "Contact IDs are required when not sending to all",
+        message: error.message,
+        retryAfter: error.retryAfter,
+        duplicates: error.duplicates,
       });
     }
 
-    if (contacts.length === 0) {
-      await transaction.rollback();
+    res.status(500).json({
+      success: false,
+      message: "Error sending SMS",
+      error: error.message,
+    });
+  }
+};
+
+// Dry run of a send: takes the same payload as sendSms and reports who it
+// would reach, what gets excluded and what it would cost. Nothing is sent
+// and no balance is reserved.
+const previewSms = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: "No contacts found to send SMS to",
+        message: "Validation errors",
+        errors: errors.array(),
       });
     }
 
-    if (contacts.length > MAX_SMS_PER_REQUEST) {
-      await transaction.rollback();
-      return res.status(429).json({
-        success: false,
-        message: `Maximum ${MAX_SMS_PER_REQUEST} SMS per request exceeded`,
+    const client = await Client.findByPk(req.clientId);
+    const prepared = await prepareSend(client, req.body);
+    let plan = await planSend({
+      clientId: req.clientId,
+      message: prepared.content,
+      recipients: prepared.recipients,
+    });
+
+    // Report recipients who got this message recently the way the send
+    // would treat them; a "block" policy lists them instead of failing
+    let blockedDuplicates = [];
+    try {
+      plan = await excludeRecentDuplicates(client, plan, {
+        testMode: prepared.testMode,
       });
+    } catch (error) {
+      if (!(error instanceof DuplicateSendError)) throw error;
+      blockedDuplicates = error.duplicates;
     }
-
-    // Check balance
     const smsBalance = await SmsBalance.findOne({
       where: { clientId: req.clientId },
-      transaction,
     });
 
-    if (!smsBalance || !smsBalance.hasEnoughBalance(contacts.length)) {
-      await transaction.rollback();
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient SMS balance. Required: ${
-          contacts.length
-        }, Available: ${smsBalance?.totalSmsAvailable || 0}`,
-      });
-    }
-
-    // Prepare phone numbers
-    const numbers = contacts
-      .map((c) => addPrefixToPhoneNumber(c.phone))
-      .join(",");
-
-    // Send all messages in one request
-    const sendResponse = await sendSMS(numbers, message);
-
-    // Deduct balance & record history
-    await smsBalance.deductSms(contacts.length, { transaction });
-    await SmsHistory.create(
-      {
-        clientId: req.clientId,
-        message,
-        recipientCount: contacts.length,
-        smsUsed: contacts.length,
-        status: sendResponse.success ? "sent" : "failed",
-        createdAt: new Date(),
-      },
-      { transaction }
-    );
+    // How many recipients need 1, 2, 3... segments
+    const segmentBreakdown = {};
+    plan.recipients.forEach((recipient) => {
+      segmentBreakdown[recipient.segments] =
+        (segmentBreakdown[recipient.segments] || 0) + 1;
+    });
 
-    await transaction.commit();
+    const names = new Map(prepared.contacts.map((c) => [c.id, c.name]));
+    const balance = smsBalance?.totalSmsAvailable || 0;
+    // Test mode sends are never charged
+    const smsRequired = prepared.testMode ? 0 : plan.smsUsed;
 
     res.json({
       success: true,
-      message: "SMS sending completed",
+      message: "SMS preview generated successfully",
       data: {
-        totalContacts: contacts.length,
-        status: sendResponse.success ? "sent" : "failed",
-        gatewayResponse: sendResponse,
-        remainingBalance: smsBalance.totalSmsAvailable,
+        totalContacts: prepared.contacts.length,
+        recipientCount: plan.recipients.length,
+        skipped: plan.skipped,
+        duplicateCheck: {
+          ...getDuplicateSettings(client),
+          blocked: blockedDuplicates.length > 0,
+          duplicates: blockedDuplicates,
+        },
+        senderId: prepared.senderId,
+        encoding: plan.encoding,
+        segments: plan.segments,
+        segmentBreakdown,
+        smsUsed: plan.smsUsed,
+        smsRequired,
+        currentBalance: balance,
+        sufficientBalance: balance >= smsRequired,
+        shortfall: Math.max(0, smsRequired - balance),
+        scheduledAt: prepared.sendAt || null,
+        deferred: prepared.deferred,
+        testMode: prepared.testMode,
+        sample: plan.recipients
+          .slice(0, PREVIEW_SAMPLE_SIZE)
+          .map((recipient) => ({
+            contactId: recipient.contactId,
+            name: names.get(recipient.contactId),
+            phone: recipient.phone,
+            message: recipient.message || prepared.content,
+            encoding: recipient.encoding,
+            segments: recipient.segments,
+          })),
       },
     });
   } catch (error) {
-    await transaction.rollback();
+    if (error instanceof SendError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: "Error sending SMS",
+      message: "Error generating SMS preview",
       error: error.message,
     });
   }
 };
 
-module.exports = { sendSms };
-
 // Get SMS balance
 const getSmsBalance = async (req, res) => {
   try {
@@ -167,6 +225,50 @@ const getSmsBalance = async (req, res) => {
   }
 };
 
+// Get the credit ledger (top-ups, sends, reservations, refunds and
+// adjustments) for client, newest first
+const getBalanceLedger = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, type } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = { clientId: req.clientId };
+    if (type) {
+      where.type = type;
+    }
+
+    const { count, rows: entries } = await LedgerEntry.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+    });
+
+    res.json({
+      success: true,
+      message: "Credit ledger retrieved successfully",
+      data: {
+        entries,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving credit ledger",
+      error: error.message,
+    });
+  }
+};
+
 // Get SMS history for client
 const getSmsHistory = async (req, res) => {
   try {
@@ -202,42 +304,364 @@ const getSmsHistory = async (req, res) => {
   }
 };
 
-// Simulate SMS sending function (replace with actual SMS gateway integration)
-async function sendSmsToNumber(phoneNumber, message) {
-  // This is a placeholder function
-  // Replace with actual SMS gateway integration (e.g., Twilio, AfricasTalking, etc.)
+// Get per-recipient messages for one SMS history entry
+const getSmsRecipients = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 50, status, phone, network } = req.query;
+    const offset = (page - 1) * limit;
+
+    const smsHistory = await SmsHistory.findOne({
+      where: { id, clientId: req.clientId },
+    });
+
+    if (!smsHistory) {
+      return res.status(404).json({
+        success: false,
+        message: "SMS history not found",
+      });
+    }
+
+    const whereClause = { smsHistoryId: smsHistory.id };
+    if (status) {
+      whereClause.status = status;
+    }
+    if (network) {
+      whereClause.network = network;
+    }
+    if (phone) {
+      const client = await Client.findByPk(req.clientId);
+      whereClause.phone = toE164(phone, getClientCountry(client)) || phone;
+    }
+
+    const { count, rows: recipients } = await SmsMessage.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Contact,
+          as: "contact",
+          attributes: ["id", "name", "phone"],
+        },
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["id", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      message: "SMS recipients retrieved successfully",
+      data: {
+        recipients,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving SMS recipients",
+      error: error.message,
+    });
+  }
+};
+
+// Get the tracked short links of one SMS history entry with their clicks.
+// `clicked=true` only lists links that were clicked.
+const getSmsLinks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 50, clicked } = req.query;
+    const offset = (page - 1) * limit;
+
+    const smsHistory = await SmsHistory.findOne({
+      where: { id, clientId: req.clientId },
+    });
+
+    if (!smsHistory) {
+      return res.status(404).json({
+        success: false,
+        message: "SMS history not found",
+      });
+    }
+
+    const whereClause = { smsHistoryId: smsHistory.id };
+    if (clicked === "true") {
+      whereClause.clickCount = { [Op.gt]: 0 };
+    }
+
+    const { count, rows } = await ShortLink.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: SmsMessage,
+          as: "smsMessage",
+          attributes: ["id", "phone", "contactId"],
+        },
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["id", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      message: "SMS links retrieved successfully",
+      data: {
+        clickCount: smsHistory.clickCount,
+        uniqueClickCount: smsHistory.uniqueClickCount,
+        links: rows.map((link) => ({
+          ...link.toJSON(),
+          shortUrl: shortLinkUrl(link.code),
+        })),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving SMS links",
+      error: error.message,
+    });
+  }
+};
+
+// Get send jobs for client
+const getSendJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { clientId: req.clientId };
+    if (status) {
+      whereClause.status = status;
+    }
+
+    const { count, rows: sendJobs } = await SendJob.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["createdAt", "DESC"]],
+    });
 
+    res.json({
+      success: true,
+      message: "Send jobs retrieved successfully",
+      data: {
+        sendJobs,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving send jobs",
+      error: error.message,
+    });
+  }
+};
+
+// Get single send job with progress
+const getSendJob = async (req, res) => {
   try {
-    // Simulate API call delay
-    await new Promise((resolve) => setTimeout(resolve, 100));
-
-    // Simulate success (you can add logic to simulate some failures)
-    const random = Math.random();
-    if (random < 0.95) {
-      // 95% success rate
-      return {
-        success: true,
-        messageId: `msg_${Date.now()}_${Math.random()
-          .toString(36)
-          .substr(2, 9)}`,
-        status: "sent",
-      };
-    } else {
-      return {
+    const { id } = req.params;
+
+    const sendJob = await SendJob.findOne({
+      where: { id, clientId: req.clientId },
+    });
+
+    if (!sendJob) {
+      return res.status(404).json({
         success: false,
-        error: "Network error or invalid number",
-      };
+        message: "Send job not found",
+      });
     }
+
+    res.json({
+      success: true,
+      message: "Send job retrieved successfully",
+      data: { sendJob },
+    });
   } catch (error) {
-    return {
+    res.status(500).json({
       success: false,
+      message: "Error retrieving send job",
       error: error.message,
-    };
+    });
   }
-}
+};
+
+// Get scheduled SMS for client
+const getScheduledSms = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: scheduledSms } = await SendJob.findAndCountAll({
+      where: { clientId: req.clientId, status: "scheduled" },
+      include: [
+        {
+          model: SmsHistory,
+          as: "smsHistory",
+          attributes: ["id", "recipientCount", "smsUsed", "encoding"],
+        },
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["scheduledAt", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      message: "Scheduled SMS retrieved successfully",
+      data: {
+        scheduledSms,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving scheduled SMS",
+      error: error.message,
+    });
+  }
+};
+
+// Reschedule a scheduled SMS
+const rescheduleSms = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { scheduledAt, timezone } = req.body;
+
+    const job = await SendJob.findOne({
+      where: { id, clientId: req.clientId },
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled SMS not found",
+      });
+    }
+
+    const client = await Client.findByPk(req.clientId);
+    let sendAt = parseScheduledAt(
+      scheduledAt,
+      timezone || getClientTimeZone(client)
+    );
+    if (!job.urgent) {
+      sendAt = nextAllowedTime(client, sendAt);
+    }
+
+    const sendJob = await rescheduleSend(job, sendAt);
+
+    res.json({
+      success: true,
+      message: "SMS rescheduled successfully",
+      data: { sendJob },
+    });
+  } catch (error) {
+    if (error instanceof SendError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error rescheduling SMS",
+      error: error.message,
+    });
+  }
+};
+
+// Cancel a scheduled or queued SMS and release its reserved balance
+const cancelScheduledSms = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await SendJob.findOne({
+      where: { id, clientId: req.clientId },
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled SMS not found",
+      });
+    }
+
+    const { released, smsBalance, cancelling } = await cancelSend(job);
+
+    // A send in progress is cancelled once its batches in flight finish
+    res.json({
+      success: true,
+      message: cancelling
+        ? "SMS cancellation requested; unsent messages will be refunded"
+        : "SMS cancelled successfully",
+      data: {
+        cancelling,
+        releasedSms: released,
+        remainingBalance: smsBalance?.totalSmsAvailable ?? 0,
+      },
+    });
+  } catch (error) {
+    if (error instanceof SendError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling SMS",
+      error: error.message,
+    });
+  }
+};
 
 module.exports = {
   sendSms,
+  previewSms,
   getSmsBalance,
+  getBalanceLedger,
   getSmsHistory,
+  getSmsRecipients,
+  getSmsLinks,
+  getSendJobs,
+  getSendJob,
+  getScheduledSms,
+  rescheduleSms,
+  cancelScheduledSms,
 };
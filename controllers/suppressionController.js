@@ -0,0 +1,255 @@
+const { Client, Suppression } = require("../models");
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+const {
+  DEFAULT_COUNTRY,
+  getClientCountry,
+  normalizePhone,
+} = require("../services/phoneNumbers");
+
+// Clients manage their own list; admins manage the platform-wide list,
+// stored without a client
+const scopeClientId = (req) => (req.admin ? null : req.clientId);
+
+// The country numbers on the list are read in
+const scopeCountry = async (req) =>
+  req.admin
+    ? DEFAULT_COUNTRY
+    : getClientCountry(
+        await Client.findByPk(req.clientId, {
+          attributes: ["id", "defaultCountry"],
+        })
+      );
+
+// Get suppressed numbers
+const getSuppressions = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { clientId: scopeClientId(req) };
+
+    if (search) {
+      whereClause.phone = { [Op.like]: `%${search}%` };
+    }
+
+    const { count, rows: suppressions } = await Suppression.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      success: true,
+      message: "Suppressions retrieved successfully",
+      data: {
+        suppressions,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving suppressions",
+      error: error.message,
+    });
+  }
+};
+
+// Add a number to the suppression list
+const addSuppression = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { phone, reason } = req.body;
+    const clientId = scopeClientId(req);
+    const normalized = normalizePhone(phone, await scopeCountry(req));
+
+    if (!normalized.valid) {
+      return res.status(400).json({
+        success: false,
+        message: normalized.error,
+      });
+    }
+
+    const normalizedPhone = normalized.phone;
+
+    const existingSuppression = await Suppression.findOne({
+      where: { clientId, phone: normalizedPhone },
+    });
+
+    if (existingSuppression) {
+      return res.status(400).json({
+        success: false,
+        message: "Phone number is already suppressed",
+      });
+    }
+
+    const suppression = await Suppression.create({
+      clientId,
+      phone: normalizedPhone,
+      reason,
+      source: req.admin ? "admin" : "manual",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Phone number suppressed successfully",
+      data: { suppression },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error suppressing phone number",
+      error: error.message,
+    });
+  }
+};
+
+// Remove a number from the suppression list
+const removeSuppression = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const suppression = await Suppression.findOne({
+      where: { id, clientId: scopeClientId(req) },
+    });
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        message: "Suppression not found",
+      });
+    }
+
+    await suppression.destroy();
+
+    res.json({
+      success: true,
+      message: "Suppression removed successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error removing suppression",
+      error: error.message,
+    });
+  }
+};
+
+// Import suppressed numbers from CSV format (phone[,reason] per line)
+const importSuppressions = async (req, res) => {
+  try {
+    const { data } = req.body;
+    const clientId = scopeClientId(req);
+
+    if (!data || typeof data !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "CSV data is required",
+      });
+    }
+
+    const country = await scopeCountry(req);
+    const entries = new Map();
+    const invalidNumbers = [];
+    for (const line of data.trim().split("\n")) {
+      const [phone, reason] = line.split(",").map((item) => item.trim());
+      if (!phone || !/\d/.test(phone)) continue;
+
+      const normalized = normalizePhone(phone, country);
+      if (!normalized.valid) {
+        invalidNumbers.push({ phone, error: normalized.error });
+        continue;
+      }
+
+      entries.set(normalized.phone, {
+        clientId,
+        phone: normalized.phone,
+        reason: reason || null,
+        source: "import",
+      });
+    }
+
+    // find already suppressed numbers
+    const existing = await Suppression.findAll({
+      where: { clientId, phone: Array.from(entries.keys()) },
+      attributes: ["phone"],
+    });
+    const existingPhones = new Set(existing.map((e) => e.phone));
+
+    const newEntries = Array.from(entries.values()).filter(
+      (entry) => !existingPhones.has(entry.phone)
+    );
+
+    await Suppression.bulkCreate(newEntries);
+
+    res.json({
+      success: true,
+      message: "Import completed",
+      data: {
+        created: newEntries.length,
+        skipped: existingPhones.size,
+        invalid: invalidNumbers.length,
+        invalidNumbers,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error importing suppressions",
+      error: error.message,
+    });
+  }
+};
+
+// Export suppressed numbers to CSV format
+const exportSuppressions = async (req, res) => {
+  try {
+    const suppressions = await Suppression.findAll({
+      where: { clientId: scopeClientId(req) },
+      order: [["createdAt", "ASC"]],
+    });
+
+    let csvContent = "Phone,Reason,Source,Created At\n";
+    suppressions.forEach((suppression) => {
+      csvContent += `"${suppression.phone}","${suppression.reason || ""}","${
+        suppression.source
+      }","${suppression.createdAt.toISOString()}"\n`;
+    });
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      'attachment; filename="suppressions.csv"'
+    );
+    res.send(csvContent);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error exporting suppressions",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getSuppressions,
+  addSuppression,
+  removeSuppression,
+  importSuppressions,
+  exportSuppressions,
+};
@@ -0,0 +1,220 @@
+const { MessageTemplate } = require("../models");
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+// Get all templates for a client
+const getTemplates = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { clientId: req.clientId };
+
+    if (search) {
+      whereClause.name = { [Op.like]: `%${search}%` };
+    }
+
+    const { count, rows: templates } = await MessageTemplate.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["name", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      message: "Templates retrieved successfully",
+      data: {
+        templates,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving templates",
+      error: error.message,
+    });
+  }
+};
+
+// Get single template
+const getTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const template = await MessageTemplate.findOne({
+      where: { id, clientId: req.clientId },
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Template retrieved successfully",
+      data: { template },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving template",
+      error: error.message,
+    });
+  }
+};
+
+// Create new template
+const createTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, content, defaults } = req.body;
+
+    // Check if template name is already used by this client
+    const existingTemplate = await MessageTemplate.findOne({
+      where: { clientId: req.clientId, name },
+    });
+
+    if (existingTemplate) {
+      return res.status(400).json({
+        success: false,
+        message: "Template with this name already exists",
+      });
+    }
+
+    const template = await MessageTemplate.create({
+      clientId: req.clientId,
+      name,
+      content,
+      defaults,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Template created successfully",
+      data: { template },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating template",
+      error: error.message,
+    });
+  }
+};
+
+// Update template
+const updateTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { name, content, defaults } = req.body;
+
+    const template = await MessageTemplate.findOne({
+      where: { id, clientId: req.clientId },
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    // Check if name is being changed and if it conflicts
+    if (name !== template.name) {
+      const existingTemplate = await MessageTemplate.findOne({
+        where: {
+          clientId: req.clientId,
+          name,
+          id: { [Op.ne]: id },
+        },
+      });
+
+      if (existingTemplate) {
+        return res.status(400).json({
+          success: false,
+          message: "Template with this name already exists",
+        });
+      }
+    }
+
+    await template.update({ name, content, defaults });
+
+    res.json({
+      success: true,
+      message: "Template updated successfully",
+      data: { template },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating template",
+      error: error.message,
+    });
+  }
+};
+
+// Delete template
+const deleteTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const template = await MessageTemplate.findOne({
+      where: { id, clientId: req.clientId },
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    await template.destroy();
+
+    res.json({
+      success: true,
+      message: "Template deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting template",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
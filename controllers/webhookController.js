@@ -0,0 +1,89 @@
+const { getProvider } = require("../services/smsProviders");
+const { applyDeliveryReports } = require("../services/messageStatus");
+const { receiveInboundMessages } = require("../services/inbox");
+const { applyKeywordRules } = require("../services/keywordRules");
+
+// Receive delivery reports from a gateway
+const receiveDeliveryReport = async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getProvider(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown SMS provider",
+      });
+    }
+
+    const { token, ...query } = req.query;
+    const reports = provider.parseDeliveryReports({ ...query, ...req.body });
+    const result = await applyDeliveryReports(reports);
+
+    res.json({
+      success: true,
+      message: "Delivery reports processed",
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error processing delivery reports",
+      error: error.message,
+    });
+  }
+};
+
+// Receive inbound (MO) messages from a gateway, file them in the matching
+// client's inbox and apply the client's keyword rules
+const receiveInboundMessage = async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getProvider(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown SMS provider",
+      });
+    }
+
+    if (!provider.parseInboundMessages) {
+      return res.status(404).json({
+        success: false,
+        message: "This SMS provider does not support inbound messages",
+      });
+    }
+
+    const { token, ...query } = req.query;
+    const messages = provider.parseInboundMessages({ ...query, ...req.body });
+    const {
+      messages: stored,
+      received,
+      duplicates,
+      unmatched,
+    } = await receiveInboundMessages(provider.name, messages);
+
+    let rulesApplied = 0;
+    for (const inbound of stored) {
+      if (await applyKeywordRules(inbound)) rulesApplied++;
+    }
+
+    res.json({
+      success: true,
+      message: "Inbound messages processed",
+      data: { received, duplicates, unmatched, rulesApplied },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error processing inbound messages",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  receiveDeliveryReport,
+  receiveInboundMessage,
+};
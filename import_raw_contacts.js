@@ -1,13 +1,19 @@
 const csv = require('csv-parser');
 const fs = require('fs');
+const { Op } = require('sequelize');
 const db = require('./models');
-const { Contact } = db;
+const { Client, Contact, ContactGroup } = db;
+const { getClientCountry, normalizePhone } = require('./services/phoneNumbers');
+
+const GROUP_NAME = 'CCM Members';
 
 // Import contacts from CSV file
 async function importContacts() {
     try {
         const contacts = [];
         const contactSet = new Set(); // To track duplicates
+        let invalid = 0;
+        const country = getClientCountry(await Client.findByPk(1));
         
         // Read CSV file
         const stream = fs.createReadStream('../cleaned_raw_contacts.csv')
@@ -17,16 +23,24 @@ async function importContacts() {
                 const phone = row.phone?.trim();
                 
                 if (name && phone) {
-                    // Create unique key to check for duplicates
-                    const uniqueKey = `${name}-${phone}`;
+                    const normalized = normalizePhone(phone, country);
+                    if (!normalized.valid) {
+                        invalid++;
+                        console.log(`⚠️ Skipping ${name}: "${phone}" - ${normalized.error}`);
+                        return;
+                    }
+
+                    // Same number however it was written
+                    const uniqueKey = normalized.phone;
                     
                     if (!contactSet.has(uniqueKey)) {
                         contactSet.add(uniqueKey);
                         contacts.push({
                             name,
                             phone,
+                            normalizedPhone: normalized.phone,
+                            network: normalized.network,
                             clientId: 1, // Assign to client ID 1
-                            group: 'CCM Members',
                             createdAt: new Date(),
                             updatedAt: new Date()
                         });
@@ -34,19 +48,22 @@ async function importContacts() {
                 }
             })
             .on('end', async () => {
-                console.log(`📊 Processed ${contacts.length} unique contacts from CSV`);
+                console.log(`📊 Processed ${contacts.length} unique contacts from CSV (${invalid} invalid numbers skipped)`);
                 
                 // Check existing contacts to avoid duplicates
                 console.log('🔍 Checking for existing contacts...');
                 const existingContacts = await Contact.findAll({
                     where: { clientId: 1 },
-                    attributes: ['phone']
+                    attributes: ['phone', 'normalizedPhone']
                 });
                 
                 const existingPhones = new Set(existingContacts.map(c => c.phone));
+                const existingNormalized = new Set(existingContacts.map(c => c.normalizedPhone));
                 
                 // Filter out contacts that already exist
-                const newContacts = contacts.filter(contact => !existingPhones.has(contact.phone));
+                const newContacts = contacts.filter(contact =>
+                    !existingPhones.has(contact.phone) && !existingNormalized.has(contact.normalizedPhone)
+                );
                 
                 console.log(`📊 Found ${existingContacts.length} existing contacts`);
                 console.log(`📊 ${newContacts.length} new contacts to import`);
@@ -68,6 +85,23 @@ async function importContacts() {
                     console.log('ℹ️ No new contacts to import');
                 }
                 
+                // Add every contact from the CSV to the group
+                const [group] = await ContactGroup.findOrCreate({
+                    where: { clientId: 1, name: GROUP_NAME }
+                });
+                const groupContacts = await Contact.findAll({
+                    where: {
+                        clientId: 1,
+                        [Op.or]: [
+                            { phone: contacts.map(c => c.phone) },
+                            { normalizedPhone: contacts.map(c => c.normalizedPhone) }
+                        ]
+                    },
+                    attributes: ['id']
+                });
+                await group.addMembers(groupContacts.map(c => c.id));
+                console.log(`👥 ${groupContacts.length} contacts in group "${GROUP_NAME}"`);
+                
                 // Final count
                 const totalContacts = await Contact.count({ where: { clientId: 1 } });
                 console.log(`📊 Total contacts in database: ${totalContacts}`);
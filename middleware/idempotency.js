@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const { Op, UniqueConstraintError } = require("sequelize");
+const { IdempotencyKey } = require("../models");
+
+const IDEMPOTENCY_TTL_HOURS =
+  parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// A claim still in progress after this long was left by a request that
+// never finished (e.g. the server restarted mid-request) and can be taken
+const IDEMPOTENCY_CLAIM_TIMEOUT_MINUTES =
+  parseFloat(process.env.IDEMPOTENCY_CLAIM_TIMEOUT_MINUTES) || 10;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+const fingerprint = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      `${req.method} ${req.baseUrl}${req.path} ${canonicalJson(req.body)}`
+    )
+    .digest("hex");
+
+// Claim the key for this request. Returns the existing record when the key
+// is already taken and has not expired (or been abandoned).
+const claimKey = async (clientId, key, requestHash) => {
+  const now = new Date();
+  const staleBefore = new Date(
+    now.getTime() - IDEMPOTENCY_CLAIM_TIMEOUT_MINUTES * 60000
+  );
+
+  try {
+    await IdempotencyKey.create({
+      clientId,
+      key,
+      requestHash,
+      expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 3600000),
+    });
+    return null;
+  } catch (error) {
+    if (!(error instanceof UniqueConstraintError)) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ where: { clientId, key } });
+
+  // Expired, abandoned or released meanwhile: drop it and claim the key
+  // again
+  if (
+    !existing ||
+    existing.expiresAt <= now ||
+    (existing.isInProgress() && existing.updatedAt <= staleBefore)
+  ) {
+    await IdempotencyKey.destroy({
+      where: {
+        clientId,
+        key,
+        [Op.or]: [
+          { expiresAt: { [Op.lte]: now } },
+          { statusCode: null, updatedAt: { [Op.lte]: staleBefore } },
+        ],
+      },
+    });
+    return claimKey(clientId, key, requestHash);
+  }
+
+  return existing;
+};
+
+// Make a client endpoint safe to retry with an Idempotency-Key header.
+// The first request's response is stored and replayed for repeats of the
+// same request within IDEMPOTENCY_TTL_HOURS; reusing a key with a different
+// body is a conflict. Server errors and rate limit (429) answers are not
+// stored, so those can be retried with the same key, as can the key of a
+// request that never finished, after IDEMPOTENCY_CLAIM_TIMEOUT_MINUTES.
+// Requests without the header are handled as usual.
+const idempotent = async (req, res, next) => {
+  const key = req.header("Idempotency-Key");
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const requestHash = fingerprint(req);
+    const existing = await claimKey(req.clientId, key, requestHash);
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Idempotency-Key has already been used with a different request",
+        });
+      }
+
+      if (existing.isInProgress()) {
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    // Store the response when the handler sends it, and only send it once
+    // stored, so a retry right after the response finds it
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const retryable = res.statusCode >= 500 || res.statusCode === 429;
+      const stored = retryable
+        ? IdempotencyKey.destroy({ where: { clientId: req.clientId, key } })
+        : IdempotencyKey.update(
+            { statusCode: res.statusCode, responseBody: body },
+            { where: { clientId: req.clientId, key } }
+          );
+
+      stored
+        .catch((error) =>
+          console.error("Error storing idempotent response:", error)
+        )
+        .then(() => json(body));
+      return res;
+    };
+
+    // Clear this client's expired keys while we are here
+    IdempotencyKey.destroy({
+      where: { clientId: req.clientId, expiresAt: { [Op.lte]: new Date() } },
+    }).catch((error) =>
+      console.error("Error removing expired idempotency keys:", error)
+    );
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error checking idempotency key",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  idempotent,
+};
@@ -0,0 +1,33 @@
+const { Client } = require("../models");
+const { checkSendRate } = require("../services/rateLimits");
+
+// Turn away send requests over the client's sends-per-minute limit before
+// any recipients are resolved. The send pipeline checks again under the
+// balance lock.
+const limitSendRate = async (req, res, next) => {
+  try {
+    const client = await Client.findByPk(req.clientId);
+    const { allowed, retryAfter } = await checkSendRate(client);
+
+    if (!allowed) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Send rate limit exceeded, try again later",
+        retryAfter,
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error checking send rate limit",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  limitSendRate,
+};
@@ -0,0 +1,34 @@
+const crypto = require("crypto");
+
+// Verify the shared token gateways send with callbacks, either as the
+// X-Webhook-Token header or a `token` query parameter
+const verifyWebhookToken = (req, res, next) => {
+  const expected = process.env.WEBHOOK_TOKEN;
+  const provided = req.header("X-Webhook-Token") || req.query.token;
+
+  if (!expected || !provided) {
+    return res.status(401).json({
+      success: false,
+      message: "Access denied. Invalid webhook token.",
+    });
+  }
+
+  const expectedBuffer = Buffer.from(String(expected));
+  const providedBuffer = Buffer.from(String(provided));
+
+  if (
+    expectedBuffer.length !== providedBuffer.length ||
+    !crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  ) {
+    return res.status(401).json({
+      success: false,
+      message: "Access denied. Invalid webhook token.",
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyWebhookToken,
+};
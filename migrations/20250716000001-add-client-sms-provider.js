@@ -0,0 +1,16 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "clients", {
+      smsProvider: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "clients", ["smsProvider"]);
+  },
+};
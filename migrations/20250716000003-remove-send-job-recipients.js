@@ -0,0 +1,18 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+// Recipients moved from a JSON column on the job to sms_messages rows. The
+// column was required, so leaving it in place breaks every new send.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "send_jobs", ["recipients"]);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "send_jobs", {
+      recipients: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+    });
+  },
+};
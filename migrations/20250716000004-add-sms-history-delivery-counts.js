@@ -0,0 +1,27 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const count = {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    };
+
+    await addColumns(queryInterface, "sms_history", {
+      sentCount: count,
+      deliveredCount: count,
+      failedCount: count,
+      expiredCount: count,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "sms_history", [
+      "sentCount",
+      "deliveredCount",
+      "failedCount",
+      "expiredCount",
+    ]);
+  },
+};
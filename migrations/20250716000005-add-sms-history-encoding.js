@@ -0,0 +1,25 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "sms_history", {
+      encoding: {
+        type: Sequelize.ENUM("GSM-7", "UCS-2"),
+        allowNull: false,
+        defaultValue: "GSM-7",
+      },
+      segments: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "sms_history", [
+      "encoding",
+      "segments",
+    ]);
+  },
+};
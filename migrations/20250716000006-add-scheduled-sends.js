@@ -0,0 +1,66 @@
+const {
+  addColumns,
+  removeColumns,
+  changeColumn,
+  addIndex,
+  removeIndex,
+} = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await changeColumn(queryInterface, "send_jobs", "status", {
+      type: Sequelize.ENUM(
+        "scheduled",
+        "queued",
+        "processing",
+        "completed",
+        "failed",
+        "cancelled"
+      ),
+      allowNull: false,
+      defaultValue: "queued",
+    });
+    await addColumns(queryInterface, "send_jobs", {
+      scheduledAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      cancelledAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+    });
+    await addIndex(queryInterface, "send_jobs", ["status", "scheduledAt"]);
+
+    await changeColumn(queryInterface, "sms_history", "status", {
+      type: Sequelize.ENUM(
+        "sent",
+        "failed",
+        "delivered",
+        "pending",
+        "cancelled"
+      ),
+      allowNull: false,
+      defaultValue: "sent",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await changeColumn(queryInterface, "sms_history", "status", {
+      type: Sequelize.ENUM("sent", "failed", "delivered", "pending"),
+      allowNull: false,
+      defaultValue: "sent",
+    });
+
+    await removeIndex(queryInterface, "send_jobs", ["status", "scheduledAt"]);
+    await removeColumns(queryInterface, "send_jobs", [
+      "scheduledAt",
+      "cancelledAt",
+    ]);
+    await changeColumn(queryInterface, "send_jobs", "status", {
+      type: Sequelize.ENUM("queued", "processing", "completed", "failed"),
+      allowNull: false,
+      defaultValue: "queued",
+    });
+  },
+};
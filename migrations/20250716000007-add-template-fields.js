@@ -0,0 +1,42 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "contacts", {
+      customFields: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+    });
+    await addColumns(queryInterface, "sms_history", {
+      templateId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "message_templates",
+          key: "id",
+        },
+      },
+    });
+    await addColumns(queryInterface, "sms_messages", {
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      segments: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "sms_messages", [
+      "message",
+      "segments",
+    ]);
+    await removeColumns(queryInterface, "sms_history", ["templateId"]);
+    await removeColumns(queryInterface, "contacts", ["customFields"]);
+  },
+};
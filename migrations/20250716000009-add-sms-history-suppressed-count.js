@@ -0,0 +1,17 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "sms_history", {
+      suppressedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "sms_history", ["suppressedCount"]);
+  },
+};
@@ -0,0 +1,20 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ["send_jobs", "sms_history"]) {
+      await addColumns(queryInterface, table, {
+        senderId: {
+          type: Sequelize.STRING(11),
+          allowNull: true,
+        },
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const table of ["send_jobs", "sms_history"]) {
+      await removeColumns(queryInterface, table, ["senderId"]);
+    }
+  },
+};
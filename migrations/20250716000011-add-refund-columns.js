@@ -0,0 +1,24 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "sms_history", {
+      smsRefunded: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    });
+    await addColumns(queryInterface, "sms_messages", {
+      refundedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "sms_messages", ["refundedAt"]);
+    await removeColumns(queryInterface, "sms_history", ["smsRefunded"]);
+  },
+};
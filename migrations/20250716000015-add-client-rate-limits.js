@@ -0,0 +1,28 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "clients", {
+      messagesPerSecond: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      sendsPerMinute: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      recipientsPerDay: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "clients", [
+      "messagesPerSecond",
+      "sendsPerMinute",
+      "recipientsPerDay",
+    ]);
+  },
+};
@@ -0,0 +1,41 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "clients", {
+      timezone: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      sendWindowStart: {
+        type: Sequelize.STRING(5),
+        allowNull: true,
+      },
+      sendWindowEnd: {
+        type: Sequelize.STRING(5),
+        allowNull: true,
+      },
+      blackoutDates: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+    });
+    await addColumns(queryInterface, "send_jobs", {
+      urgent: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "send_jobs", ["urgent"]);
+    await removeColumns(queryInterface, "clients", [
+      "timezone",
+      "sendWindowStart",
+      "sendWindowEnd",
+      "blackoutDates",
+    ]);
+  },
+};
@@ -0,0 +1,23 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+const TABLES = ["clients", "send_jobs", "sms_history"];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      await addColumns(queryInterface, table, {
+        testMode: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      await removeColumns(queryInterface, table, ["testMode"]);
+    }
+  },
+};
@@ -0,0 +1,54 @@
+const { addColumns, removeColumns, changeColumn } = require("./helpers/schema");
+
+const sendJobStatus = (Sequelize, statuses) => ({
+  type: Sequelize.ENUM(...statuses),
+  allowNull: false,
+  defaultValue: "queued",
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await changeColumn(
+      queryInterface,
+      "send_jobs",
+      "status",
+      sendJobStatus(Sequelize, [
+        "scheduled",
+        "queued",
+        "processing",
+        "paused",
+        "cancelling",
+        "completed",
+        "failed",
+        "cancelled",
+      ])
+    );
+    await addColumns(queryInterface, "sms_history", {
+      campaignId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "campaigns",
+          key: "id",
+        },
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "sms_history", ["campaignId"]);
+    await changeColumn(
+      queryInterface,
+      "send_jobs",
+      "status",
+      sendJobStatus(Sequelize, [
+        "scheduled",
+        "queued",
+        "processing",
+        "completed",
+        "failed",
+        "cancelled",
+      ])
+    );
+  },
+};
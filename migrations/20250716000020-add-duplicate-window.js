@@ -0,0 +1,70 @@
+const { addColumns, removeColumns, changeColumn } = require("./helpers/schema");
+
+const messageStatus = (Sequelize, statuses) => ({
+  type: Sequelize.ENUM(...statuses),
+  allowNull: false,
+  defaultValue: "pending",
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "clients", {
+      duplicateWindowHours: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      duplicatePolicy: {
+        type: Sequelize.ENUM("skip", "block"),
+        allowNull: false,
+        defaultValue: "skip",
+      },
+    });
+    await addColumns(queryInterface, "sms_history", {
+      recentlySentCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    });
+    await addColumns(queryInterface, "sms_messages", {
+      contentHash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+    });
+    await changeColumn(
+      queryInterface,
+      "sms_messages",
+      "status",
+      messageStatus(Sequelize, [
+        "pending",
+        "sent",
+        "delivered",
+        "failed",
+        "expired",
+        "cancelled",
+      ])
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await changeColumn(
+      queryInterface,
+      "sms_messages",
+      "status",
+      messageStatus(Sequelize, [
+        "pending",
+        "sent",
+        "delivered",
+        "failed",
+        "expired",
+      ])
+    );
+    await removeColumns(queryInterface, "sms_messages", ["contentHash"]);
+    await removeColumns(queryInterface, "sms_history", ["recentlySentCount"]);
+    await removeColumns(queryInterface, "clients", [
+      "duplicateWindowHours",
+      "duplicatePolicy",
+    ]);
+  },
+};
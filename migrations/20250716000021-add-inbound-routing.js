@@ -0,0 +1,38 @@
+const {
+  addColumns,
+  removeColumns,
+  addIndex,
+  removeIndex,
+} = require("./helpers/schema");
+
+// The unique keys are named after their column, as MySQL names the key of a
+// `unique` column sync() creates
+const UNIQUE_COLUMNS = ["shortcode", "inboundKeyword"];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "clients", {
+      shortcode: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      inboundKeyword: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+    });
+    for (const column of UNIQUE_COLUMNS) {
+      await addIndex(queryInterface, "clients", [column], {
+        unique: true,
+        name: column,
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const column of UNIQUE_COLUMNS) {
+      await removeIndex(queryInterface, "clients", [column], { name: column });
+    }
+    await removeColumns(queryInterface, "clients", UNIQUE_COLUMNS);
+  },
+};
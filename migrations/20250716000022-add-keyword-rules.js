@@ -0,0 +1,38 @@
+const { addColumns, removeColumns, changeColumn } = require("./helpers/schema");
+
+const suppressionSource = (Sequelize, sources) => ({
+  type: Sequelize.ENUM(...sources),
+  allowNull: false,
+  defaultValue: "manual",
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "inbound_messages", {
+      keywordRuleId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "keyword_rules",
+          key: "id",
+        },
+      },
+    });
+    await changeColumn(
+      queryInterface,
+      "suppressions",
+      "source",
+      suppressionSource(Sequelize, ["manual", "import", "admin", "keyword"])
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await changeColumn(
+      queryInterface,
+      "suppressions",
+      "source",
+      suppressionSource(Sequelize, ["manual", "import", "admin"])
+    );
+    await removeColumns(queryInterface, "inbound_messages", ["keywordRuleId"]);
+  },
+};
@@ -0,0 +1,35 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const trackLinks = {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    };
+
+    await addColumns(queryInterface, "campaigns", { trackLinks });
+    await addColumns(queryInterface, "sms_history", {
+      trackLinks,
+      clickCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      uniqueClickCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "sms_history", [
+      "trackLinks",
+      "clickCount",
+      "uniqueClickCount",
+    ]);
+    await removeColumns(queryInterface, "campaigns", ["trackLinks"]);
+  },
+};
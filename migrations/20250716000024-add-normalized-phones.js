@@ -0,0 +1,42 @@
+const {
+  addColumns,
+  removeColumns,
+  addIndex,
+  removeIndex,
+} = require("./helpers/schema");
+
+// Existing contacts keep a null normalizedPhone until
+// `npm run contacts:normalize` fills it in.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "clients", {
+      defaultCountry: {
+        type: Sequelize.STRING(2),
+        allowNull: true,
+      },
+    });
+    await addColumns(queryInterface, "contacts", {
+      normalizedPhone: {
+        type: Sequelize.STRING(16),
+        allowNull: true,
+      },
+    });
+    await addIndex(
+      queryInterface,
+      "contacts",
+      ["clientId", "normalizedPhone"],
+      {
+        unique: true,
+      }
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeIndex(queryInterface, "contacts", [
+      "clientId",
+      "normalizedPhone",
+    ]);
+    await removeColumns(queryInterface, "contacts", ["normalizedPhone"]);
+    await removeColumns(queryInterface, "clients", ["defaultCountry"]);
+  },
+};
@@ -0,0 +1,30 @@
+const { addColumns, removeColumns } = require("./helpers/schema");
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await addColumns(queryInterface, "contacts", {
+      network: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+      },
+    });
+    await addColumns(queryInterface, "sms_messages", {
+      network: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await removeColumns(queryInterface, "sms_messages", [
+      "network",
+      "provider",
+    ]);
+    await removeColumns(queryInterface, "contacts", ["network"]);
+  },
+};
@@ -0,0 +1,89 @@
+const { Utils } = require("sequelize");
+
+// Helpers for migrations that bring tables created by an older
+// sequelize.sync() up to date with the models. sync() creates missing tables
+// but never alters existing ones, so run `npm run db:migrate` before starting
+// a new version of the server. A table that does not exist yet is left to
+// sync(), which creates it whole; changes already in place are skipped.
+
+const describe = async (queryInterface, table) => {
+  try {
+    return await queryInterface.describeTable(table);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Add those of `columns` ({ name: definition }) the table lacks. A foreign
+// key to a table sync() has yet to create is added without the constraint.
+const addColumns = async (queryInterface, table, columns) => {
+  const existing = await describe(queryInterface, table);
+  if (!existing) return;
+
+  for (const [name, definition] of Object.entries(columns)) {
+    if (existing[name]) continue;
+
+    const { references, ...column } = definition;
+    if (references && (await queryInterface.tableExists(references.model))) {
+      column.references = references;
+    }
+    await queryInterface.addColumn(table, name, column);
+  }
+};
+
+// Remove those of `names` the table has
+const removeColumns = async (queryInterface, table, names) => {
+  const existing = await describe(queryInterface, table);
+  if (!existing) return;
+
+  for (const name of names) {
+    if (existing[name]) {
+      await queryInterface.removeColumn(table, name);
+    }
+  }
+};
+
+// Redefine a column the table has, e.g. to change an ENUM's values
+const changeColumn = async (queryInterface, table, name, definition) => {
+  const existing = await describe(queryInterface, table);
+  if (existing && existing[name]) {
+    await queryInterface.changeColumn(table, name, definition);
+  }
+};
+
+// The name sync() gives an index on `fields`
+const indexName = (table, fields) =>
+  Utils.underscore(`${table}_${fields.join("_")}`);
+
+const hasIndex = async (queryInterface, table, name) => {
+  const indexes = await queryInterface.showIndex(table);
+  return indexes.some((index) => index.name === name);
+};
+
+// Add an index on `fields` under the name sync() would give it (unless
+// `options.name` is given), so sync() does not add it a second time
+const addIndex = async (queryInterface, table, fields, options = {}) => {
+  if (!(await describe(queryInterface, table))) return;
+
+  const name = options.name || indexName(table, fields);
+  if (!(await hasIndex(queryInterface, table, name))) {
+    await queryInterface.addIndex(table, fields, { ...options, name });
+  }
+};
+
+const removeIndex = async (queryInterface, table, fields, options = {}) => {
+  if (!(await describe(queryInterface, table))) return;
+
+  const name = options.name || indexName(table, fields);
+  if (await hasIndex(queryInterface, table, name)) {
+    await queryInterface.removeIndex(table, name);
+  }
+};
+
+module.exports = {
+  addColumns,
+  removeColumns,
+  changeColumn,
+  addIndex,
+  removeIndex,
+};
@@ -0,0 +1,116 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class Campaign extends Model {
+    static associate(models) {
+      // Campaign belongs to Client
+      Campaign.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+
+      Campaign.belongsTo(models.MessageTemplate, {
+        foreignKey: "templateId",
+        as: "template",
+      });
+
+      // Campaign is sent as one SmsHistory send once launched
+      Campaign.hasOne(models.SmsHistory, {
+        foreignKey: "campaignId",
+        as: "smsHistory",
+      });
+    }
+
+    // Campaigns can only be edited or deleted before launch
+    isDraft() {
+      return this.launchedAt === null;
+    }
+  }
+
+  Campaign.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          len: [1, 255],
+        },
+      },
+      // Text to send; ignored when templateId is set
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      templateId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "message_templates",
+          key: "id",
+        },
+      },
+      // Who receives it: { sendToAll, contactIds, groupIds }, resolved at
+      // launch
+      audience: {
+        type: DataTypes.JSON,
+        allowNull: false,
+      },
+      // Requested sender ID name; null uses the client's default
+      senderId: {
+        type: DataTypes.STRING(11),
+        allowNull: true,
+      },
+      // Send at launch when null
+      scheduledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      urgent: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      testMode: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Replace URLs in the message with tracked short links
+      trackLinks: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      launchedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "Campaign",
+      tableName: "campaigns",
+      indexes: [
+        {
+          fields: ["clientId", "createdAt"],
+        },
+      ],
+    }
+  );
+
+  return Campaign;
+};
@@ -23,11 +23,47 @@ module.exports = (sequelize, DataTypes) => {
         as: "smsBalance",
       });
 
+      // Client has many sender IDs
+      Client.hasMany(models.SenderId, {
+        foreignKey: "clientId",
+        as: "senderIds",
+      });
+
+      // Client has many campaigns
+      Client.hasMany(models.Campaign, {
+        foreignKey: "clientId",
+        as: "campaigns",
+      });
+
+      // Client has many credit ledger entries
+      Client.hasMany(models.LedgerEntry, {
+        foreignKey: "clientId",
+        as: "ledgerEntries",
+      });
+
       // Client has many users
       Client.hasMany(models.ClientUser, {
         foreignKey: "clientId",
         as: "users",
       });
+
+      // Client has many keyword rules for inbound messages
+      Client.hasMany(models.KeywordRule, {
+        foreignKey: "clientId",
+        as: "keywordRules",
+      });
+
+      // Client has many gateway routing rules of its own
+      Client.hasMany(models.RoutingRule, {
+        foreignKey: "clientId",
+        as: "routingRules",
+      });
+
+      // Client has many inbound messages
+      Client.hasMany(models.InboundMessage, {
+        foreignKey: "clientId",
+        as: "inboundMessages",
+      });
     }
 
     // Instance method to check password
@@ -69,6 +105,83 @@ module.exports = (sequelize, DataTypes) => {
           len: [6, 100],
         },
       },
+      smsProvider: {
+        type: DataTypes.STRING,
+        allowNull: true, // Falls back to SMS_PROVIDER when not set
+      },
+      // Every send by a test mode client goes through the sandbox provider
+      // and is never charged
+      testMode: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // IANA time zone for sending windows, schedules and daily limits;
+      // null falls back to DEFAULT_TIMEZONE
+      timezone: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Daily sending window as "HH:MM" in the client's time zone; sends
+      // outside it are deferred. Null on either end means no window.
+      sendWindowStart: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+      },
+      sendWindowEnd: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+      },
+      // "YYYY-MM-DD" dates on which nothing is sent
+      blackoutDates: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      // Throughput limits; null falls back to the RATE_LIMIT_* defaults
+      messagesPerSecond: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      sendsPerMinute: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      recipientsPerDay: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // Hours within which the same message is not sent to the same number
+      // twice; null falls back to DUPLICATE_WINDOW_HOURS, 0 turns it off
+      duplicateWindowHours: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // What to do with such recipients: leave them out, or refuse the send
+      duplicatePolicy: {
+        type: DataTypes.ENUM("skip", "block"),
+        allowNull: false,
+        defaultValue: "skip",
+      },
+      // ISO country code numbers without a country code are read in;
+      // null means DEFAULT_COUNTRY
+      defaultCountry: {
+        type: DataTypes.STRING(2),
+        allowNull: true,
+      },
+      // Dedicated number or shortcode whose inbound messages are this
+      // client's
+      shortcode: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        unique: true,
+      },
+      // Uppercase first word that routes messages on a shared shortcode to
+      // this client
+      inboundKeyword: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        unique: true,
+      },
     },
     {
       sequelize,
@@ -9,6 +9,20 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: "clientId",
         as: "client",
       });
+
+      // Contact has received many messages
+      Contact.hasMany(models.SmsMessage, {
+        foreignKey: "contactId",
+        as: "messages",
+      });
+
+      // Contact can be in many groups
+      Contact.belongsToMany(models.ContactGroup, {
+        through: models.ContactGroupMember,
+        foreignKey: "contactId",
+        otherKey: "groupId",
+        as: "groups",
+      });
     }
   }
 
@@ -34,13 +48,30 @@ module.exports = (sequelize, DataTypes) => {
           len: [1, 255],
         },
       },
+      // As entered
       phone: {
         type: DataTypes.STRING,
         allowNull: false,
         validate: {
-          len: [10, 20],
+          len: [1, 20],
         },
       },
+      // E.164 form of phone, read in the client's default country
+      normalizedPhone: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+      },
+      // Mobile network detected from normalizedPhone, e.g. "vodacom-tz";
+      // null when unknown
+      network: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+      },
+      // Extra values for template placeholders, e.g. { "city": "Arusha" }
+      customFields: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
     },
     {
       sequelize,
@@ -51,6 +82,10 @@ module.exports = (sequelize, DataTypes) => {
           unique: true,
           fields: ["clientId", "phone"],
         },
+        {
+          unique: true,
+          fields: ["clientId", "normalizedPhone"],
+        },
       ],
     }
   );
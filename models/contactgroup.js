@@ -0,0 +1,80 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class ContactGroup extends Model {
+    static associate(models) {
+      // ContactGroup belongs to Client
+      ContactGroup.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+
+      // ContactGroup has many contacts, a contact can be in many groups
+      ContactGroup.belongsToMany(models.Contact, {
+        through: models.ContactGroupMember,
+        foreignKey: "groupId",
+        otherKey: "contactId",
+        as: "contacts",
+      });
+    }
+
+    // Instance method to add contacts, skipping ones already in the group
+    async addMembers(contactIds, options = {}) {
+      await sequelize.models.ContactGroupMember.bulkCreate(
+        contactIds.map((contactId) => ({ groupId: this.id, contactId })),
+        { ignoreDuplicates: true, transaction: options.transaction }
+      );
+    }
+
+    // Instance method to remove contacts from the group
+    async removeMembers(contactIds, options = {}) {
+      return sequelize.models.ContactGroupMember.destroy({
+        where: { groupId: this.id, contactId: contactIds },
+        transaction: options.transaction,
+      });
+    }
+  }
+
+  ContactGroup.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          len: [1, 255],
+        },
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "ContactGroup",
+      tableName: "contact_groups",
+      indexes: [
+        {
+          unique: true,
+          fields: ["clientId", "name"],
+        },
+      ],
+    }
+  );
+
+  return ContactGroup;
+};
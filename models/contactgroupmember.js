@@ -0,0 +1,47 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class ContactGroupMember extends Model {}
+
+  ContactGroupMember.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      groupId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "contact_groups",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      contactId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "contacts",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+    },
+    {
+      sequelize,
+      modelName: "ContactGroupMember",
+      tableName: "contact_group_members",
+      indexes: [
+        {
+          unique: true,
+          fields: ["groupId", "contactId"],
+        },
+      ],
+    }
+  );
+
+  return ContactGroupMember;
+};
@@ -0,0 +1,76 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class IdempotencyKey extends Model {
+    static associate(models) {
+      // IdempotencyKey belongs to Client
+      IdempotencyKey.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+    }
+
+    // Whether the original request is still being processed
+    isInProgress() {
+      return this.statusCode === null;
+    }
+  }
+
+  IdempotencyKey.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      // Value of the Idempotency-Key header
+      key: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // Hash of the method, path and body of the original request
+      requestHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      // Stored response; null while the original request is in progress
+      statusCode: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      responseBody: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: "IdempotencyKey",
+      tableName: "idempotency_keys",
+      indexes: [
+        {
+          unique: true,
+          fields: ["clientId", "key"],
+        },
+        {
+          fields: ["expiresAt"],
+        },
+      ],
+    }
+  );
+
+  return IdempotencyKey;
+};
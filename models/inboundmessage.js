@@ -0,0 +1,112 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class InboundMessage extends Model {
+    static associate(models) {
+      // InboundMessage belongs to the Client it was routed to, if any
+      InboundMessage.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+
+      // InboundMessage was sent by a Contact (if the number is known)
+      InboundMessage.belongsTo(models.Contact, {
+        foreignKey: "contactId",
+        as: "contact",
+      });
+
+      // InboundMessage triggered a KeywordRule
+      InboundMessage.belongsTo(models.KeywordRule, {
+        foreignKey: "keywordRuleId",
+        as: "keywordRule",
+      });
+    }
+  }
+
+  InboundMessage.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: true, // Null when no client could be matched
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      contactId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "contacts",
+          key: "id",
+        },
+      },
+      provider: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // Id assigned by the gateway, used to ignore repeated callbacks
+      gatewayMessageId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Normalized phone of the sender
+      phone: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // Number or shortcode the message was sent to
+      shortcode: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Keyword the message was routed by, if any
+      keyword: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      receivedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      readAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      keywordRuleId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "keyword_rules",
+          key: "id",
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: "InboundMessage",
+      tableName: "inbound_messages",
+      indexes: [
+        {
+          fields: ["clientId", "phone"],
+        },
+        {
+          unique: true,
+          fields: ["provider", "gatewayMessageId"],
+        },
+      ],
+    }
+  );
+
+  return InboundMessage;
+};
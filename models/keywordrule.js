@@ -0,0 +1,101 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class KeywordRule extends Model {
+    static associate(models) {
+      // KeywordRule belongs to Client
+      KeywordRule.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+
+      // KeywordRule may reply with a MessageTemplate
+      KeywordRule.belongsTo(models.MessageTemplate, {
+        foreignKey: "replyTemplateId",
+        as: "replyTemplate",
+      });
+
+      // KeywordRule may add the sender to a ContactGroup
+      KeywordRule.belongsTo(models.ContactGroup, {
+        foreignKey: "groupId",
+        as: "group",
+      });
+    }
+
+    // A rule without a keyword is the client's fallback rule
+    isFallback() {
+      return this.keyword === null;
+    }
+  }
+
+  KeywordRule.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      // Normalized keyword (uppercase letters and digits, no accents);
+      // null for the fallback rule that applies when no other rule matches
+      keyword: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      // Actions, applied in this order: add the sender to `groupId`, reply
+      // with `replyTemplateId`, add the sender to the suppression list,
+      // forward the message to `webhookUrl`
+      groupId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "contact_groups",
+          key: "id",
+        },
+      },
+      replyTemplateId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "message_templates",
+          key: "id",
+        },
+      },
+      suppress: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      webhookUrl: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "KeywordRule",
+      tableName: "keyword_rules",
+      indexes: [
+        {
+          unique: true,
+          fields: ["clientId", "keyword"],
+        },
+      ],
+    }
+  );
+
+  return KeywordRule;
+};
@@ -0,0 +1,201 @@
+"use strict";
+const { Model } = require("sequelize");
+
+// Accounts credits move between. "client" is the client's spendable
+// balance (SmsBalance.totalSmsAvailable); the others are counter accounts.
+const ACCOUNTS = {
+  CLIENT: "client",
+  PURCHASES: "purchases",
+  USAGE: "usage",
+  RESERVED: "reserved",
+  ADJUSTMENTS: "adjustments",
+};
+
+// [debitAccount, creditAccount] per entry type: credits move out of the
+// debit account into the credit account
+const ENTRY_ACCOUNTS = {
+  topup: [ACCOUNTS.PURCHASES, ACCOUNTS.CLIENT],
+  send: [ACCOUNTS.CLIENT, ACCOUNTS.USAGE],
+  reservation: [ACCOUNTS.CLIENT, ACCOUNTS.RESERVED],
+  capture: [ACCOUNTS.RESERVED, ACCOUNTS.USAGE],
+  release: [ACCOUNTS.RESERVED, ACCOUNTS.CLIENT],
+  refund: [ACCOUNTS.USAGE, ACCOUNTS.CLIENT],
+  adjustment: [ACCOUNTS.ADJUSTMENTS, ACCOUNTS.CLIENT],
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class LedgerEntry extends Model {
+    static associate(models) {
+      // LedgerEntry belongs to Client
+      LedgerEntry.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+
+      // LedgerEntry may have been posted by an Admin
+      LedgerEntry.belongsTo(models.Admin, {
+        foreignKey: "createdBy",
+        as: "admin",
+      });
+    }
+
+    // Post an entry and apply it to the client's balance. The balance row
+    // is locked for the rest of the transaction, so concurrent postings
+    // are serialised. A negative `amount` on an adjustment takes credits
+    // away from the client. Runs in its own transaction when none is given.
+    static async post(entry, options = {}) {
+      if (!options.transaction) {
+        return sequelize.transaction((transaction) =>
+          LedgerEntry.post(entry, { transaction })
+        );
+      }
+
+      const { transaction } = options;
+      const amount = Math.abs(entry.amount);
+      const [debitAccount, creditAccount] =
+        entry.type === "adjustment" && entry.amount < 0
+          ? [ACCOUNTS.CLIENT, ACCOUNTS.ADJUSTMENTS]
+          : ENTRY_ACCOUNTS[entry.type];
+
+      const smsBalance = await sequelize.models.SmsBalance.findOne({
+        where: { clientId: entry.clientId },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      if (!smsBalance) {
+        throw new Error("SMS balance not found");
+      }
+
+      let change = 0;
+      if (creditAccount === ACCOUNTS.CLIENT) change += amount;
+      if (debitAccount === ACCOUNTS.CLIENT) change -= amount;
+
+      const balanceAfter = smsBalance.totalSmsAvailable + change;
+      if (balanceAfter < 0) {
+        throw new Error("Insufficient SMS balance");
+      }
+
+      if (change !== 0) {
+        await smsBalance.update(
+          { totalSmsAvailable: balanceAfter },
+          { transaction }
+        );
+      }
+
+      const ledgerEntry = await LedgerEntry.create(
+        {
+          clientId: entry.clientId,
+          type: entry.type,
+          debitAccount,
+          creditAccount,
+          amount,
+          balanceAfter,
+          referenceType: entry.referenceType,
+          referenceId: entry.referenceId,
+          description: entry.description,
+          createdBy: entry.createdBy,
+        },
+        { transaction }
+      );
+
+      return { ledgerEntry, smsBalance };
+    }
+
+    // Client balance according to the ledger: credits into the client
+    // account minus credits out of it
+    static async clientBalance(clientId, options = {}) {
+      const [credited, debited] = await Promise.all([
+        LedgerEntry.sum("amount", {
+          where: { clientId, creditAccount: ACCOUNTS.CLIENT },
+          transaction: options.transaction,
+        }),
+        LedgerEntry.sum("amount", {
+          where: { clientId, debitAccount: ACCOUNTS.CLIENT },
+          transaction: options.transaction,
+        }),
+      ]);
+
+      return (credited || 0) - (debited || 0);
+    }
+  }
+
+  LedgerEntry.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      type: {
+        type: DataTypes.ENUM(...Object.keys(ENTRY_ACCOUNTS)),
+        allowNull: false,
+      },
+      debitAccount: {
+        type: DataTypes.ENUM(...Object.values(ACCOUNTS)),
+        allowNull: false,
+      },
+      creditAccount: {
+        type: DataTypes.ENUM(...Object.values(ACCOUNTS)),
+        allowNull: false,
+      },
+      amount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: 0,
+        },
+      },
+      // Client balance right after this entry
+      balanceAfter: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // What the entry is for, e.g. "transaction" / "sms_history" + id
+      referenceType: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      referenceId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "admins",
+          key: "id",
+        },
+      },
+    },
+    {
+      sequelize,
+      modelName: "LedgerEntry",
+      tableName: "credit_ledger",
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ["clientId", "createdAt"],
+        },
+        {
+          fields: ["referenceType", "referenceId"],
+        },
+      ],
+    }
+  );
+
+  return LedgerEntry;
+};
@@ -0,0 +1,53 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class LinkClick extends Model {
+    static associate(models) {
+      // LinkClick belongs to ShortLink
+      LinkClick.belongsTo(models.ShortLink, {
+        foreignKey: "shortLinkId",
+        as: "shortLink",
+      });
+    }
+  }
+
+  LinkClick.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      shortLinkId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "short_links",
+          key: "id",
+        },
+      },
+      ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "LinkClick",
+      tableName: "link_clicks",
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ["shortLinkId", "ipAddress"],
+        },
+      ],
+    }
+  );
+
+  return LinkClick;
+};
@@ -0,0 +1,61 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class MessageTemplate extends Model {
+    static associate(models) {
+      // MessageTemplate belongs to Client
+      MessageTemplate.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+    }
+  }
+
+  MessageTemplate.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          len: [1, 255],
+        },
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      // Fallback values for placeholders a contact has no value for
+      defaults: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "MessageTemplate",
+      tableName: "message_templates",
+      indexes: [
+        {
+          unique: true,
+          fields: ["clientId", "name"],
+        },
+      ],
+    }
+  );
+
+  return MessageTemplate;
+};
@@ -0,0 +1,57 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class RoutingRule extends Model {
+    static associate(models) {
+      // RoutingRule belongs to Client; platform-wide rules have no client
+      RoutingRule.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+    }
+  }
+
+  RoutingRule.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // Null for a platform-wide rule; a client's own rule for the same
+      // network takes precedence
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      // Network id from services/mobileNetworks, e.g. "vodacom-tz"
+      network: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+      },
+      // Gateway provider the network's messages are sent through
+      provider: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: "RoutingRule",
+      tableName: "routing_rules",
+      indexes: [
+        {
+          unique: true,
+          fields: ["clientId", "network"],
+        },
+      ],
+    }
+  );
+
+  return RoutingRule;
+};
@@ -0,0 +1,89 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class SenderId extends Model {
+    static associate(models) {
+      // SenderId belongs to Client
+      SenderId.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+
+      // SenderId is approved or rejected by an Admin
+      SenderId.belongsTo(models.Admin, {
+        foreignKey: "reviewedBy",
+        as: "reviewer",
+      });
+    }
+  }
+
+  SenderId.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      // The name recipients see as the sender, e.g. "BULKSMS"
+      name: {
+        type: DataTypes.STRING(11),
+        allowNull: false,
+        validate: {
+          len: [3, 11],
+        },
+      },
+      purpose: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      status: {
+        type: DataTypes.ENUM("pending", "approved", "rejected"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      isDefault: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      rejectionReason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      reviewedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "admins",
+          key: "id",
+        },
+      },
+      reviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "SenderId",
+      tableName: "sender_ids",
+      indexes: [
+        {
+          unique: true,
+          fields: ["clientId", "name"],
+        },
+      ],
+    }
+  );
+
+  return SenderId;
+};
@@ -0,0 +1,140 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class SendJob extends Model {
+    static associate(models) {
+      // SendJob belongs to Client
+      SendJob.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+
+      // SendJob delivers one SmsHistory entry
+      SendJob.belongsTo(models.SmsHistory, {
+        foreignKey: "smsHistoryId",
+        as: "smsHistory",
+      });
+    }
+  }
+
+  SendJob.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      smsHistoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "sms_history",
+          key: "id",
+        },
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      // Approved sender name; null means the platform default sender
+      senderId: {
+        type: DataTypes.STRING(11),
+        allowNull: true,
+      },
+      status: {
+        type: DataTypes.ENUM(
+          "scheduled",
+          "queued",
+          "processing",
+          "paused",
+          // Cancelled while the worker was sending; it cancels the unsent
+          // messages once its batches in flight are done
+          "cancelling",
+          "completed",
+          "failed",
+          "cancelled"
+        ),
+        allowNull: false,
+        defaultValue: "queued",
+      },
+      totalRecipients: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      processedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      sentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      failedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      // When a scheduled job is due, or when a queued job deferred to the
+      // client's next sending window may resume
+      scheduledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Urgent sends ignore the client's sending windows and blackout dates
+      urgent: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Test mode jobs go through the sandbox provider
+      testMode: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "SendJob",
+      tableName: "send_jobs",
+      indexes: [
+        {
+          fields: ["status", "createdAt"],
+        },
+        {
+          fields: ["status", "scheduledAt"],
+        },
+      ],
+    }
+  );
+
+  return SendJob;
+};
@@ -0,0 +1,102 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class ShortLink extends Model {
+    static associate(models) {
+      // ShortLink belongs to Client
+      ShortLink.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+
+      // ShortLink was sent in an SmsHistory send
+      ShortLink.belongsTo(models.SmsHistory, {
+        foreignKey: "smsHistoryId",
+        as: "smsHistory",
+      });
+
+      // ShortLink was sent to one recipient when the send was personalised
+      ShortLink.belongsTo(models.SmsMessage, {
+        foreignKey: "smsMessageId",
+        as: "smsMessage",
+      });
+
+      // ShortLink has many recorded clicks
+      ShortLink.hasMany(models.LinkClick, {
+        foreignKey: "shortLinkId",
+        as: "clicks",
+      });
+    }
+  }
+
+  ShortLink.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      code: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        unique: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      smsHistoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "sms_history",
+          key: "id",
+        },
+      },
+      // Null when the link is shared by every recipient of the send
+      smsMessageId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "sms_messages",
+          key: "id",
+        },
+      },
+      // Original URL the short link redirects to
+      url: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      clickCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      firstClickedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lastClickedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "ShortLink",
+      tableName: "short_links",
+      indexes: [
+        {
+          fields: ["smsHistoryId"],
+        },
+      ],
+    }
+  );
+
+  return ShortLink;
+};
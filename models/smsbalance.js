@@ -15,17 +15,6 @@ module.exports = (sequelize, DataTypes) => {
     hasEnoughBalance(smsCount) {
       return this.totalSmsAvailable >= smsCount;
     }
-
-    // Instance method to deduct SMS from balance
-    async deductSms(smsCount) {
-      if (!this.hasEnoughBalance(smsCount)) {
-        throw new Error("Insufficient SMS balance");
-      }
-
-      await this.decrement("totalSmsAvailable", { by: smsCount });
-      await this.reload();
-      return this;
-    }
   }
 
   SmsBalance.init(
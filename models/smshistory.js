@@ -8,6 +8,35 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: "clientId",
         as: "client",
       });
+
+      // SmsHistory may be the send of a campaign
+      SmsHistory.belongsTo(models.Campaign, {
+        foreignKey: "campaignId",
+        as: "campaign",
+      });
+
+      SmsHistory.belongsTo(models.MessageTemplate, {
+        foreignKey: "templateId",
+        as: "template",
+      });
+
+      // SmsHistory is delivered by a background send job
+      SmsHistory.hasOne(models.SendJob, {
+        foreignKey: "smsHistoryId",
+        as: "sendJob",
+      });
+
+      // SmsHistory has one message record per recipient
+      SmsHistory.hasMany(models.SmsMessage, {
+        foreignKey: "smsHistoryId",
+        as: "messages",
+      });
+
+      // SmsHistory has many tracked short links
+      SmsHistory.hasMany(models.ShortLink, {
+        foreignKey: "smsHistoryId",
+        as: "shortLinks",
+      });
     }
   }
 
@@ -21,22 +50,133 @@ module.exports = (sequelize, DataTypes) => {
           key: "id",
         },
       },
+      campaignId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "campaigns",
+          key: "id",
+        },
+      },
+      templateId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "message_templates",
+          key: "id",
+        },
+      },
       message: {
         type: DataTypes.TEXT,
         allowNull: false,
       },
+      // Approved sender name; null means the platform default sender
+      senderId: {
+        type: DataTypes.STRING(11),
+        allowNull: true,
+      },
       recipientCount: {
         type: DataTypes.INTEGER,
         allowNull: false,
         defaultValue: 1,
       },
+      // Recipients left out because they opted out
+      suppressedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Recipients left out because their number repeats another recipient's
+      duplicateCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Recipients left out because their number is not a valid phone number
+      invalidCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Recipients left out because they got the same message recently
+      recentlySentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
       smsUsed: {
         type: DataTypes.INTEGER,
         allowNull: false,
         defaultValue: 1,
       },
+      encoding: {
+        type: DataTypes.ENUM("GSM-7", "UCS-2"),
+        allowNull: false,
+        defaultValue: "GSM-7",
+      },
+      segments: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      sentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      deliveredCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      failedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      expiredCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      smsRefunded: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Sent through the sandbox provider without charging credits
+      testMode: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // URLs in the text were replaced with tracked short links
+      trackLinks: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Every click on the send's short links
+      clickCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // First clicks per recipient (or per visitor for a link shared by all
+      // recipients)
+      uniqueClickCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
       status: {
-        type: DataTypes.ENUM("sent", "failed", "delivered", "pending"),
+        type: DataTypes.ENUM(
+          "sent",
+          "failed",
+          "delivered",
+          "pending",
+          "cancelled"
+        ),
         allowNull: false,
         defaultValue: "sent",
       },
@@ -0,0 +1,145 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class SmsMessage extends Model {
+    static associate(models) {
+      // SmsMessage belongs to Client
+      SmsMessage.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+
+      // SmsMessage is one recipient of an SmsHistory send
+      SmsMessage.belongsTo(models.SmsHistory, {
+        foreignKey: "smsHistoryId",
+        as: "smsHistory",
+      });
+
+      // SmsMessage was addressed to a Contact (if still present)
+      SmsMessage.belongsTo(models.Contact, {
+        foreignKey: "contactId",
+        as: "contact",
+      });
+    }
+  }
+
+  SmsMessage.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      smsHistoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "sms_history",
+          key: "id",
+        },
+      },
+      contactId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "contacts",
+          key: "id",
+        },
+      },
+      phone: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      // Rendered text for personalised sends; null means the SmsHistory message
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      segments: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      // Mobile network detected from phone, e.g. "vodacom-tz"; null when
+      // unknown
+      network: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+      },
+      // Gateway provider the message was sent through
+      provider: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      // Fingerprint of the text sent, used to spot repeated sends
+      contentHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      gatewayMessageId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      status: {
+        type: DataTypes.ENUM(
+          "pending",
+          "sent",
+          "delivered",
+          "failed",
+          "expired",
+          "cancelled"
+        ),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      errorMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      deliveredAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      failedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Set once the credits for a failed message have been returned
+      refundedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: "SmsMessage",
+      tableName: "sms_messages",
+      indexes: [
+        {
+          fields: ["smsHistoryId", "status"],
+        },
+        {
+          fields: ["gatewayMessageId"],
+        },
+        {
+          fields: ["clientId", "phone"],
+        },
+      ],
+    }
+  );
+
+  return SmsMessage;
+};
@@ -0,0 +1,62 @@
+"use strict";
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class Suppression extends Model {
+    static associate(models) {
+      // Suppression belongs to Client; platform-wide entries have no client
+      Suppression.belongsTo(models.Client, {
+        foreignKey: "clientId",
+        as: "client",
+      });
+    }
+  }
+
+  Suppression.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: true, // Null for the platform-wide list managed by admins
+        references: {
+          model: "clients",
+          key: "id",
+        },
+      },
+      // Normalized phone number
+      phone: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      source: {
+        type: DataTypes.ENUM("manual", "import", "admin", "keyword"),
+        allowNull: false,
+        defaultValue: "manual",
+      },
+    },
+    {
+      sequelize,
+      modelName: "Suppression",
+      tableName: "suppressions",
+      indexes: [
+        {
+          unique: true,
+          fields: ["clientId", "phone"],
+        },
+        {
+          fields: ["phone"],
+        },
+      ],
+    }
+  );
+
+  return Suppression;
+};
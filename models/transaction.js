@@ -65,17 +65,20 @@ module.exports = (sequelize, DataTypes) => {
       modelName: "Transaction",
       tableName: "transactions",
       hooks: {
-        afterCreate: async (transaction) => {
-          // Update client's SMS balance after transaction
-          const smsBalance = await sequelize.models.SmsBalance.findOne({
-            where: { clientId: transaction.clientId },
-          });
-
-          if (smsBalance) {
-            await smsBalance.increment("totalSmsAvailable", {
-              by: transaction.smsQuantity,
-            });
-          }
+        afterCreate: async (transaction, options) => {
+          // Credit the client's SMS balance through the ledger
+          await sequelize.models.LedgerEntry.post(
+            {
+              clientId: transaction.clientId,
+              type: "topup",
+              amount: transaction.smsQuantity,
+              referenceType: "transaction",
+              referenceId: transaction.id,
+              description: transaction.description,
+              createdBy: transaction.adminId,
+            },
+            { transaction: options.transaction }
+          );
         },
       },
     }
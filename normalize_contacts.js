@@ -0,0 +1,72 @@
+const db = require('./models');
+const { Client, Contact } = db;
+const { getClientCountry, networkForPhone, normalizePhone } = require('./services/phoneNumbers');
+
+// Fill in normalizedPhone and network for contacts saved before numbers were
+// normalized, reading each number in its client's default country. Contacts
+// whose number is invalid, or is the same number as another of the client's
+// contacts, are listed and left without one; they are skipped when sending
+// until fixed.
+async function normalizeContacts() {
+    try {
+        console.log('🔍 Normalizing contact phone numbers...');
+
+        const clients = await Client.findAll({ attributes: ['id', 'defaultCountry'], order: [['id', 'ASC']] });
+        let updated = 0;
+        let problems = 0;
+
+        for (const client of clients) {
+            const country = getClientCountry(client);
+            const contacts = await Contact.findAll({
+                where: { clientId: client.id },
+                attributes: ['id', 'phone', 'normalizedPhone', 'network'],
+                order: [['id', 'ASC']]
+            });
+            const taken = new Set(contacts.map((c) => c.normalizedPhone).filter(Boolean));
+
+            for (const contact of contacts) {
+                if (contact.normalizedPhone) {
+                    // Saved before networks were detected
+                    const network = networkForPhone(contact.normalizedPhone);
+                    if (!contact.network && network) {
+                        await contact.update({ network });
+                        updated++;
+                    }
+                    continue;
+                }
+
+                const normalized = normalizePhone(contact.phone, country);
+                if (!normalized.valid) {
+                    problems++;
+                    console.log(`❌ Client ${client.id}, contact ${contact.id}: "${contact.phone}" - ${normalized.error}`);
+                    continue;
+                }
+
+                if (taken.has(normalized.phone)) {
+                    problems++;
+                    console.log(`❌ Client ${client.id}, contact ${contact.id}: "${contact.phone}" duplicates another contact (${normalized.phone})`);
+                    continue;
+                }
+
+                await contact.update({ normalizedPhone: normalized.phone, network: normalized.network });
+                taken.add(normalized.phone);
+                updated++;
+            }
+        }
+
+        console.log(`✅ Normalized ${updated} contact(s)`);
+
+        if (problems > 0) {
+            console.log(`⚠️ ${problems} contact(s) need their number fixed`);
+            process.exit(1);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error normalizing contacts:', error);
+        process.exit(1);
+    }
+}
+
+// Run the normalization
+normalizeContacts();
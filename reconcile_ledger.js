@@ -0,0 +1,65 @@
+const db = require('./models');
+const { SmsBalance, LedgerEntry } = db;
+
+// Check every client's totalSmsAvailable against the credit ledger.
+// Run with --open to record an opening adjustment for clients whose balance
+// predates the ledger (no entries yet), so they reconcile from then on.
+async function reconcileLedger() {
+    const recordOpening = process.argv.includes('--open');
+
+    try {
+        console.log('🔍 Reconciling SMS balances against the credit ledger...');
+
+        const balances = await SmsBalance.findAll({ order: [['clientId', 'ASC']] });
+        let mismatches = 0;
+
+        for (const smsBalance of balances) {
+            const { clientId, totalSmsAvailable } = smsBalance;
+            const entryCount = await LedgerEntry.count({ where: { clientId } });
+
+            if (entryCount === 0 && recordOpening && totalSmsAvailable > 0) {
+                // The credits are already in the balance, so record the
+                // entry directly instead of posting it a second time
+                await db.sequelize.transaction(async (transaction) => {
+                    await SmsBalance.findOne({
+                        where: { clientId },
+                        transaction,
+                        lock: transaction.LOCK.UPDATE
+                    });
+                    await LedgerEntry.create({
+                        clientId,
+                        type: 'adjustment',
+                        debitAccount: 'adjustments',
+                        creditAccount: 'client',
+                        amount: totalSmsAvailable,
+                        balanceAfter: totalSmsAvailable,
+                        description: 'Opening balance'
+                    }, { transaction });
+                });
+                console.log(`📝 Client ${clientId}: recorded opening balance of ${totalSmsAvailable}`);
+                continue;
+            }
+
+            const ledgerBalance = await LedgerEntry.clientBalance(clientId);
+
+            if (ledgerBalance !== totalSmsAvailable) {
+                mismatches++;
+                console.log(`❌ Client ${clientId}: balance ${totalSmsAvailable}, ledger ${ledgerBalance} (difference ${totalSmsAvailable - ledgerBalance})`);
+            }
+        }
+
+        if (mismatches > 0) {
+            console.log(`⚠️ ${mismatches} of ${balances.length} balances do not match the ledger`);
+            process.exit(1);
+        }
+
+        console.log(`✅ All ${balances.length} balances match the ledger`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error reconciling ledger:', error);
+        process.exit(1);
+    }
+}
+
+// Run the reconciliation
+reconcileLedger();
@@ -1,7 +1,15 @@
 const express = require("express");
 const { body } = require("express-validator");
 const adminController = require("../controllers/adminController");
+const suppressionController = require("../controllers/suppressionController");
+const senderIdController = require("../controllers/senderIdController");
+const gatewayController = require("../controllers/gatewayController");
+const routingRuleController = require("../controllers/routingRuleController");
+const reportController = require("../controllers/reportController");
 const { verifyToken, isAdmin } = require("../middleware/auth");
+const { providerNames } = require("../services/smsProviders");
+const { NETWORK_IDS } = require("../services/mobileNetworks");
+const { OFFLINE_PROVIDERS } = require("../services/routing");
 
 const router = express.Router();
 
@@ -14,12 +22,16 @@ const clientValidation = [
   body("name").trim().isLength({ min: 1, max: 255 }),
   body("email").isEmail().normalizeEmail(),
   body("password").isLength({ min: 6 }),
+  body("smsProvider").optional({ nullable: true }).isIn(providerNames),
+  body("testMode").optional().isBoolean().toBoolean(),
 ];
 
 const clientUpdateValidation = [
   body("name").trim().isLength({ min: 1, max: 255 }),
   body("email").isEmail().normalizeEmail(),
   body("password").optional().isLength({ min: 6 }),
+  body("smsProvider").optional({ nullable: true }).isIn(providerNames),
+  body("testMode").optional().isBoolean().toBoolean(),
 ];
 
 const transactionValidation = [
@@ -29,6 +41,31 @@ const transactionValidation = [
   body("description").optional().trim(),
 ];
 
+const balanceAdjustmentValidation = [
+  body("amount")
+    .isInt()
+    .custom((value) => parseInt(value) !== 0)
+    .withMessage("Amount must be a non-zero integer"),
+  body("description").trim().isLength({ min: 1, max: 255 }),
+];
+
+const clientLimitsValidation = [
+  body(["messagesPerSecond", "sendsPerMinute", "recipientsPerDay"])
+    .optional({ nullable: true })
+    .isInt({ min: 1 }),
+];
+
+const clientInboundValidation = [
+  body("shortcode")
+    .optional({ nullable: true })
+    .matches(/^\+?\d{3,15}$/)
+    .withMessage("Shortcode must be 3-15 digits"),
+  body("inboundKeyword")
+    .optional({ nullable: true })
+    .matches(/^[A-Za-z0-9]{2,20}$/)
+    .withMessage("Keyword must be 2-20 letters or digits"),
+];
+
 const clientUserValidation = [
   body("clientId").isInt({ min: 1 }),
   body("email").isEmail().normalizeEmail(),
@@ -36,6 +73,24 @@ const clientUserValidation = [
   body("name").optional().trim(),
 ];
 
+const suppressionValidation = [
+  body("phone").trim().isLength({ min: 9, max: 20 }),
+  body("reason").optional({ nullable: true }).trim().isLength({ max: 255 }),
+];
+
+// Rules route real, charged traffic, so never to a simulator
+const routableProviders = providerNames.filter(
+  (name) => !OFFLINE_PROVIDERS.includes(name)
+);
+
+const routingRuleValidation = [
+  body("network").isIn(NETWORK_IDS),
+  body("provider").isIn(routableProviders),
+  body("clientId").optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+];
+
+const routingRuleUpdateValidation = [body("provider").isIn(routableProviders)];
+
 // Client management routes
 router.get("/clients", adminController.getClients);
 router.get("/clients/:id", adminController.getClient);
@@ -46,6 +101,22 @@ router.put(
   adminController.updateClient
 );
 router.delete("/clients/:id", adminController.deleteClient);
+router.get("/clients/:id/limits", adminController.getClientLimitSettings);
+router.put(
+  "/clients/:id/limits",
+  clientLimitsValidation,
+  adminController.updateClientLimits
+);
+router.put(
+  "/clients/:id/inbound",
+  clientInboundValidation,
+  adminController.updateClientInbound
+);
+router.post(
+  "/clients/:id/balance-adjustments",
+  balanceAdjustmentValidation,
+  adminController.adjustClientBalance
+);
 
 // Transaction management routes
 router.get("/transactions", adminController.getTransactions);
@@ -62,4 +133,46 @@ router.post(
   adminController.createClientUser
 );
 
+// Gateway health routes
+router.get("/gateways", gatewayController.getGateways);
+router.post("/gateways/:provider/reset", gatewayController.resetGateway);
+
+// Network routing routes
+router.get("/networks", routingRuleController.getNetworks);
+router.get("/routing-rules", routingRuleController.getRoutingRules);
+router.post(
+  "/routing-rules",
+  routingRuleValidation,
+  routingRuleController.createRoutingRule
+);
+router.put(
+  "/routing-rules/:id",
+  routingRuleUpdateValidation,
+  routingRuleController.updateRoutingRule
+);
+router.delete("/routing-rules/:id", routingRuleController.deleteRoutingRule);
+
+// Report routes
+router.get("/reports/networks", reportController.getNetworkReport);
+
+// Sender ID approval routes
+router.get("/sender-ids", senderIdController.getAllSenderIds);
+router.put("/sender-ids/:id/approve", senderIdController.approveSenderId);
+router.put(
+  "/sender-ids/:id/reject",
+  [body("reason").optional().trim()],
+  senderIdController.rejectSenderId
+);
+
+// Platform-wide suppression list routes
+router.get("/suppressions", suppressionController.getSuppressions);
+router.get("/suppressions/export", suppressionController.exportSuppressions);
+router.post(
+  "/suppressions",
+  suppressionValidation,
+  suppressionController.addSuppression
+);
+router.post("/suppressions/import", suppressionController.importSuppressions);
+router.delete("/suppressions/:id", suppressionController.removeSuppression);
+
 module.exports = router;
@@ -2,7 +2,23 @@ const express = require("express");
 const { body } = require("express-validator");
 const contactController = require("../controllers/contactController");
 const smsController = require("../controllers/smsController");
+const templateController = require("../controllers/templateController");
+const groupController = require("../controllers/groupController");
+const suppressionController = require("../controllers/suppressionController");
+const senderIdController = require("../controllers/senderIdController");
+const settingsController = require("../controllers/settingsController");
+const campaignController = require("../controllers/campaignController");
+const inboxController = require("../controllers/inboxController");
+const keywordRuleController = require("../controllers/keywordRuleController");
+const reportController = require("../controllers/reportController");
 const { verifyToken, isClient } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const { limitSendRate } = require("../middleware/rateLimit");
+const { isValidTimeZone } = require("../services/timezone");
+const { TIME_PATTERN, MAX_BLACKOUT_DATES } = require("../services/sendWindows");
+const { DUPLICATE_POLICIES } = require("../services/duplicateSends");
+const { SUPPORTED_COUNTRIES } = require("../services/phoneNumbers");
+const { isPublicUrl } = require("../services/publicUrls");
 
 const router = express.Router();
 
@@ -13,19 +29,132 @@ router.use(isClient);
 // Validation rules
 const contactValidation = [
   body("name").trim().isLength({ min: 1, max: 255 }),
-  body("phone").trim().isLength({ min: 10, max: 20 }),
+  body("phone").trim().isLength({ min: 1, max: 20 }),
+  body("customFields").optional({ nullable: true }).isObject(),
 ];
 
 const bulkImportValidation = [
   body("contacts").isArray({ min: 1 }),
   body("contacts.*.name").trim().isLength({ min: 1, max: 255 }),
-  body("contacts.*.phone").trim().isLength({ min: 10, max: 20 }),
+  // Invalid numbers are reported per contact rather than failing the import
+  body("contacts.*.phone").isString().trim(),
 ];
 
 const smsValidation = [
-  body("message").trim().isLength({ min: 1, max: 1000 }),
+  body("message").optional().trim().isLength({ min: 1, max: 1000 }),
+  body("templateId").optional().isInt({ min: 1 }),
   body("sendToAll").optional().isBoolean(),
   body("contactIds").optional().isArray(),
+  body("groupIds").optional().isArray(),
+  body("senderId").optional().trim().isLength({ min: 3, max: 11 }),
+  body("scheduledAt").optional().isString(),
+  body("timezone").optional().isString(),
+  body("urgent").optional().isBoolean().toBoolean(),
+  body("testMode").optional().isBoolean().toBoolean(),
+  body("trackLinks").optional().isBoolean().toBoolean(),
+];
+
+const replyValidation = [
+  body("message").trim().isLength({ min: 1, max: 1000 }),
+  body("senderId").optional().trim().isLength({ min: 3, max: 11 }),
+];
+
+const keywordRuleValidation = [
+  body("keyword")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 20 }),
+  body(["groupId", "replyTemplateId"])
+    .optional({ nullable: true })
+    .isInt({ min: 1 }),
+  body(["suppress", "isActive"]).optional().isBoolean().toBoolean(),
+  body("webhookUrl")
+    .optional({ nullable: true })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .bail()
+    .custom(isPublicUrl)
+    .withMessage("webhookUrl must not point to a private or local address"),
+];
+
+const sendSettingsValidation = [
+  body("timezone")
+    .optional({ nullable: true })
+    .custom(isValidTimeZone)
+    .withMessage("Unknown timezone"),
+  body(["sendWindowStart", "sendWindowEnd"])
+    .optional({ nullable: true })
+    .matches(TIME_PATTERN)
+    .withMessage("Must be a time as HH:MM"),
+  body("blackoutDates")
+    .optional({ nullable: true })
+    .isArray({ max: MAX_BLACKOUT_DATES }),
+  body("blackoutDates.*")
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("Must be a date as YYYY-MM-DD"),
+  body("duplicateWindowHours")
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 720 })
+    .toInt(),
+  body("duplicatePolicy").optional().isIn(DUPLICATE_POLICIES),
+  body("defaultCountry")
+    .optional({ nullable: true })
+    .toUpperCase()
+    .isIn(SUPPORTED_COUNTRIES),
+];
+
+const groupValidation = [
+  body("name").trim().isLength({ min: 1, max: 255 }),
+  body("description").optional({ nullable: true }).trim(),
+];
+
+const groupContactsValidation = [
+  body("contactIds").isArray({ min: 1 }),
+  body("contactIds.*").isInt({ min: 1 }),
+];
+
+const suppressionValidation = [
+  body("phone").trim().isLength({ min: 9, max: 20 }),
+  body("reason").optional({ nullable: true }).trim().isLength({ max: 255 }),
+];
+
+const senderIdValidation = [
+  body("name")
+    .trim()
+    .matches(/^[A-Za-z0-9 .&-]{3,11}$/)
+    .withMessage("Sender ID must be 3-11 letters, digits or spaces"),
+  body("purpose").optional({ nullable: true }).trim(),
+];
+
+const templateValidation = [
+  body("name").trim().isLength({ min: 1, max: 255 }),
+  body("content").trim().isLength({ min: 1, max: 1000 }),
+  body("defaults").optional({ nullable: true }).isObject(),
+];
+
+const campaignValidation = [
+  body("name").trim().isLength({ min: 1, max: 255 }),
+  body("message").optional().trim().isLength({ min: 1, max: 1000 }),
+  body("templateId").optional({ nullable: true }).isInt({ min: 1 }),
+  body("audience").isObject(),
+  body("audience.sendToAll").optional().isBoolean().toBoolean(),
+  body("audience.contactIds").optional().isArray(),
+  body("audience.contactIds.*").isInt({ min: 1 }).toInt(),
+  body("audience.groupIds").optional().isArray(),
+  body("audience.groupIds.*").isInt({ min: 1 }).toInt(),
+  body("senderId")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 3, max: 11 }),
+  body("scheduledAt").optional({ nullable: true }).isString(),
+  body("timezone").optional().isString(),
+  body("urgent").optional().isBoolean().toBoolean(),
+  body("testMode").optional().isBoolean().toBoolean(),
+  body("trackLinks").optional().isBoolean().toBoolean(),
+];
+
+const rescheduleValidation = [
+  body("scheduledAt").isString(),
+  body("timezone").optional().isString(),
 ];
 
 // Contact routes
@@ -37,9 +166,137 @@ router.delete("/contacts/:id", contactController.deleteContact);
 router.post("/contacts/import", contactController.importContacts);
 router.get("/contacts/export", contactController.exportContacts);
 
+// Group routes
+router.get("/groups", groupController.getGroups);
+router.get("/groups/:id", groupController.getGroup);
+router.post("/groups", groupValidation, groupController.createGroup);
+router.put("/groups/:id", groupValidation, groupController.updateGroup);
+router.delete("/groups/:id", groupController.deleteGroup);
+router.post(
+  "/groups/:id/contacts",
+  groupContactsValidation,
+  groupController.addGroupContacts
+);
+router.delete(
+  "/groups/:id/contacts",
+  groupContactsValidation,
+  groupController.removeGroupContacts
+);
+
+// Suppression (opt-out) routes
+router.get("/suppressions", suppressionController.getSuppressions);
+router.get("/suppressions/export", suppressionController.exportSuppressions);
+router.post(
+  "/suppressions",
+  suppressionValidation,
+  suppressionController.addSuppression
+);
+router.post("/suppressions/import", suppressionController.importSuppressions);
+router.delete("/suppressions/:id", suppressionController.removeSuppression);
+
+// Sender ID routes
+router.get("/sender-ids", senderIdController.getSenderIds);
+router.post(
+  "/sender-ids",
+  senderIdValidation,
+  senderIdController.requestSenderId
+);
+router.put("/sender-ids/:id/default", senderIdController.setDefaultSenderId);
+router.delete("/sender-ids/:id", senderIdController.deleteSenderId);
+
+// Template routes
+router.get("/templates", templateController.getTemplates);
+router.get("/templates/:id", templateController.getTemplate);
+router.post(
+  "/templates",
+  templateValidation,
+  templateController.createTemplate
+);
+router.put(
+  "/templates/:id",
+  templateValidation,
+  templateController.updateTemplate
+);
+router.delete("/templates/:id", templateController.deleteTemplate);
+
+// Campaign routes
+router.get("/campaigns", campaignController.getCampaigns);
+router.get("/campaigns/:id", campaignController.getCampaign);
+router.post(
+  "/campaigns",
+  campaignValidation,
+  campaignController.createCampaign
+);
+router.put(
+  "/campaigns/:id",
+  campaignValidation,
+  campaignController.updateCampaign
+);
+router.delete("/campaigns/:id", campaignController.deleteCampaign);
+router.post("/campaigns/:id/launch", campaignController.launchCampaign);
+router.post("/campaigns/:id/pause", campaignController.pauseCampaign);
+router.post("/campaigns/:id/resume", campaignController.resumeCampaign);
+router.post("/campaigns/:id/cancel", campaignController.cancelCampaign);
+
+// Settings routes
+router.get("/settings/sending", settingsController.getSendSettings);
+router.put(
+  "/settings/sending",
+  sendSettingsValidation,
+  settingsController.updateSendSettings
+);
+
 // SMS routes
-router.post("/send-sms", smsValidation, smsController.sendSms);
+router.post("/send-sms/preview", smsValidation, smsController.previewSms);
+router.post(
+  "/send-sms",
+  idempotent,
+  limitSendRate,
+  smsValidation,
+  smsController.sendSms
+);
 router.get("/balance", smsController.getSmsBalance);
+router.get("/balance/ledger", smsController.getBalanceLedger);
 router.get("/sms-history", smsController.getSmsHistory);
+router.get("/sms-history/:id/recipients", smsController.getSmsRecipients);
+router.get("/sms-history/:id/links", smsController.getSmsLinks);
+router.get("/reports/networks", reportController.getNetworkReport);
+router.get("/send-jobs", smsController.getSendJobs);
+router.get("/send-jobs/:id", smsController.getSendJob);
+
+// Inbox routes
+router.get("/inbox", inboxController.getInbox);
+router.get("/inbox/:phone", inboxController.getThread);
+router.post("/inbox/:phone/read", inboxController.markThreadRead);
+router.post(
+  "/inbox/:phone/reply",
+  idempotent,
+  limitSendRate,
+  replyValidation,
+  inboxController.replyToThread
+);
+
+// Keyword rule routes
+router.get("/keyword-rules", keywordRuleController.getKeywordRules);
+router.post(
+  "/keyword-rules",
+  keywordRuleValidation,
+  keywordRuleController.createKeywordRule
+);
+router.put(
+  "/keyword-rules/:id",
+  keywordRuleValidation,
+  keywordRuleController.updateKeywordRule
+);
+router.delete("/keyword-rules/:id", keywordRuleController.deleteKeywordRule);
+
+// Scheduled SMS routes
+router.get("/scheduled-sms", smsController.getScheduledSms);
+router.put(
+  "/scheduled-sms/:id",
+  rescheduleValidation,
+  smsController.rescheduleSms
+);
+router.post("/scheduled-sms/:id/cancel", smsController.cancelScheduledSms);
 
 module.exports = router;
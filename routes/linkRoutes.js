@@ -0,0 +1,9 @@
+const express = require("express");
+const linkController = require("../controllers/linkController");
+
+const router = express.Router();
+
+// Short links in sent messages; public, since recipients open them
+router.get("/:code", linkController.followLink);
+
+module.exports = router;
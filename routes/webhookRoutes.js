@@ -0,0 +1,19 @@
+const express = require("express");
+const webhookController = require("../controllers/webhookController");
+const { verifyWebhookToken } = require("../middleware/webhook");
+
+const router = express.Router();
+
+// Gateways call these routes directly, so they use a shared token
+// instead of user authentication
+router.use(verifyWebhookToken);
+
+// Delivery reports (some gateways use GET callbacks, others POST)
+router.get("/dlr/:provider", webhookController.receiveDeliveryReport);
+router.post("/dlr/:provider", webhookController.receiveDeliveryReport);
+
+// Inbound (MO) messages
+router.get("/inbound/:provider", webhookController.receiveInboundMessage);
+router.post("/inbound/:provider", webhookController.receiveInboundMessage);
+
+module.exports = router;
@@ -5,11 +5,15 @@ const morgan = require("morgan");
 require("dotenv").config();
 
 const { sequelize } = require("./models");
+const sendWorker = require("./services/sendWorker");
+const scheduler = require("./services/scheduler");
 
 // Import routes
 const adminRoutes = require("./routes/adminRoutes");
 const clientRoutes = require("./routes/clientRoutes");
 const authRoutes = require("./routes/authRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const linkRoutes = require("./routes/linkRoutes");
 
 const app = express();
 const PORT = process.env.PORT;
@@ -25,6 +29,8 @@ app.use(express.urlencoded({ extended: true }));
 app.use("/api/auth", authRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/client", clientRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/l", linkRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -61,9 +67,18 @@ async function startServer() {
     console.log("✅ Database connection established successfully.");
 
     // Sync database (use { force: true } only in development to recreate tables)
+    // This creates missing tables only; `npm run db:migrate` updates existing ones
     await sequelize.sync();
     console.log("✅ Database synchronized.");
 
+    // Start processing queued SMS sends
+    await sendWorker.start();
+    console.log("✅ Send worker started.");
+
+    // Release scheduled sends when they are due
+    await scheduler.start();
+    console.log("✅ Scheduler started.");
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
@@ -0,0 +1,95 @@
+const FAILURE_THRESHOLD =
+  parseInt(process.env.SMS_BREAKER_FAILURE_THRESHOLD) || 5;
+const COOLDOWN_MS = parseInt(process.env.SMS_BREAKER_COOLDOWN_MS) || 60000;
+
+// Per-gateway circuit breaker. After FAILURE_THRESHOLD consecutive
+// transient failures the breaker opens and no requests are made for
+// COOLDOWN_MS; then a single trial request is let through (half open),
+// which closes the breaker on success or opens it again on failure.
+class CircuitBreaker {
+  constructor(name) {
+    this.name = name;
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a request may be made right now
+  canRequest() {
+    if (this.state === "closed") return true;
+
+    if (this.state === "open") {
+      if (Date.now() - this.openedAt < COOLDOWN_MS) return false;
+      this.state = "half_open";
+    }
+
+    // Half open: one trial request at a time
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error;
+    this.lastFailureAt = new Date();
+    this.trialInFlight = false;
+
+    if (
+      this.state === "half_open" ||
+      this.consecutiveFailures >= FAILURE_THRESHOLD
+    ) {
+      if (this.state !== "open") {
+        console.warn(`⚠️ Circuit breaker for ${this.name} opened: ${error}`);
+      }
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Close the breaker by hand, e.g. after the gateway confirmed a fix
+  reset() {
+    this.recordSuccess();
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  toJSON() {
+    return {
+      provider: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: FAILURE_THRESHOLD,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt:
+        this.state === "open" ? new Date(this.openedAt + COOLDOWN_MS) : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+    };
+  }
+}
+
+const breakers = new Map();
+
+// Get the breaker for a provider, creating it on first use
+const getBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+};
+
+module.exports = {
+  CircuitBreaker,
+  getBreaker,
+};
@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { SmsMessage } = require("../models");
+const { stripShortLinks } = require("./linkTracking");
+
+const LOOKUP_CHUNK_SIZE = 1000;
+const DUPLICATE_POLICIES = ["skip", "block"];
+// Window for clients without their own; 0 turns the check off
+const DEFAULT_WINDOW_HOURS =
+  parseInt(process.env.DUPLICATE_WINDOW_HOURS ?? 24) || 0;
+
+// Messages that never reached the handset do not count as received
+const UNRECEIVED_STATUSES = ["failed", "cancelled"];
+
+// Fingerprint of a message text that ignores case, spacing, punctuation
+// and tracked short links, so a resend with an extra "!" or fresh tracking
+// codes still matches
+const contentHash = (text) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      stripShortLinks(text)
+        .normalize("NFKC")
+        .toLowerCase()
+        .replace(/[\s\p{P}]+/gu, "")
+    )
+    .digest("hex");
+
+// A client's effective duplicate settings
+const getDuplicateSettings = (client) => ({
+  windowHours: client?.duplicateWindowHours ?? DEFAULT_WINDOW_HOURS,
+  policy: client?.duplicatePolicy || "skip",
+});
+
+// Recipients who already got the same text (by contentHash) from this
+// client within its duplicate window. Returns a Map of phone to the earlier
+// message. Test sends are only compared with test sends.
+const findRecentDuplicates = async (
+  client,
+  recipients,
+  { testMode = false, transaction } = {}
+) => {
+  const duplicates = new Map();
+  const { windowHours } = getDuplicateSettings(client);
+  if (!windowHours || recipients.length === 0) {
+    return duplicates;
+  }
+
+  const since = new Date(Date.now() - windowHours * 3600 * 1000);
+  const wanted = new Set(recipients.map((r) => `${r.phone}:${r.contentHash}`));
+  const phones = Array.from(new Set(recipients.map((r) => r.phone)));
+
+  for (let i = 0; i < phones.length; i += LOOKUP_CHUNK_SIZE) {
+    const rows = await SmsMessage.findAll({
+      where: {
+        clientId: client.id,
+        phone: phones.slice(i, i + LOOKUP_CHUNK_SIZE),
+        createdAt: { [Op.gte]: since },
+        status: { [Op.notIn]: UNRECEIVED_STATUSES },
+        "$smsHistory.testMode$": testMode,
+      },
+      attributes: ["phone", "contentHash", "smsHistoryId", "createdAt"],
+      include: [{ association: "smsHistory", attributes: [] }],
+      transaction,
+      raw: true,
+    });
+
+    rows.forEach((row) => {
+      if (wanted.has(`${row.phone}:${row.contentHash}`)) {
+        duplicates.set(row.phone, {
+          smsHistoryId: row.smsHistoryId,
+          sentAt: row.createdAt,
+        });
+      }
+    });
+  }
+
+  return duplicates;
+};
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  DEFAULT_WINDOW_HOURS,
+  contentHash,
+  getDuplicateSettings,
+  findRecentDuplicates,
+};
@@ -0,0 +1,63 @@
+const { getBreaker } = require("./circuitBreaker");
+
+const MAX_RETRIES = parseInt(process.env.SMS_MAX_RETRIES) || 3;
+const RETRY_BASE_MS = parseInt(process.env.SMS_RETRY_BASE_MS) || 500;
+const RETRY_MAX_MS = parseInt(process.env.SMS_RETRY_MAX_MS) || 10000;
+
+// Raised when a gateway cannot be reached right now. Messages stay pending
+// so the send can resume once the gateway recovers.
+class GatewayUnavailableError extends Error {
+  constructor(provider, message) {
+    super(message);
+    this.name = "GatewayUnavailableError";
+    this.provider = provider;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt) =>
+  Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+
+// Send through `provider`, retrying transient failures (timeouts, network
+// errors, 5xx) and going through the provider's circuit breaker. Resolves
+// with the provider response, which may still report rejected numbers;
+// throws GatewayUnavailableError when the gateway stays unreachable.
+const sendViaGateway = async (provider, payload) => {
+  const breaker = getBreaker(provider.name);
+
+  for (let attempt = 0; ; attempt++) {
+    if (!breaker.canRequest()) {
+      throw new GatewayUnavailableError(
+        provider.name,
+        `${provider.name} gateway unavailable (circuit open): ${breaker.lastError}`
+      );
+    }
+
+    const response = await provider.send(payload);
+
+    if (!response.transient) {
+      breaker.recordSuccess();
+      return response;
+    }
+
+    breaker.recordFailure(response.error);
+
+    if (attempt >= MAX_RETRIES) {
+      throw new GatewayUnavailableError(
+        provider.name,
+        `${provider.name} gateway unavailable after ${attempt + 1} attempts: ${
+          response.error
+        }`
+      );
+    }
+
+    await sleep(backoffDelay(attempt));
+  }
+};
+
+module.exports = {
+  GatewayUnavailableError,
+  sendViaGateway,
+};
@@ -0,0 +1,140 @@
+const { Client, Contact, InboundMessage } = require("../models");
+const { enqueueSend } = require("./sendQueue");
+const { resolveSenderId } = require("./senderIds");
+const sendWorker = require("./sendWorker");
+const { toE164 } = require("./phoneNumbers");
+
+const digits = (value) => String(value ?? "").replace(/\D/g, "");
+
+// Letters and digits only, uppercased and without accents:
+// "stop!" -> "STOP", "Inscrição" -> "INSCRICAO"
+const normalizeKeyword = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9]/g, "")
+    .toUpperCase();
+
+// The first word of a message, as a keyword
+const firstKeyword = (text) =>
+  normalizeKeyword(
+    String(text ?? "")
+      .trim()
+      .split(/\s+/)[0]
+  );
+
+// Work out which client an inbound message is for: the owner of the
+// shortcode it was sent to, else the client whose keyword it starts with.
+// Returns `{ client, keyword }`; client is null when nothing matches and the
+// message is stored unassigned.
+const matchClient = async ({ to, text }) => {
+  if (digits(to)) {
+    const client = await Client.findOne({ where: { shortcode: digits(to) } });
+    if (client) return { client, keyword: null };
+  }
+
+  const keyword = firstKeyword(text);
+  if (keyword) {
+    const client = await Client.findOne({ where: { inboundKeyword: keyword } });
+    if (client) return { client, keyword };
+  }
+
+  return { client: null, keyword: null };
+};
+
+// The client's contact with this normalized phone, or null
+const findContactByPhone = (clientId, phone) =>
+  Contact.findOne({
+    where: { clientId, normalizedPhone: phone },
+    attributes: ["id", "name", "phone", "normalizedPhone"],
+  });
+
+// Store normalized inbound messages from a gateway callback, each routed to
+// a client and contact. Messages the gateway already delivered (same
+// messageId) are ignored. Returns the stored InboundMessage rows and counts.
+const receiveInboundMessages = async (provider, messages) => {
+  const stored = [];
+  let duplicates = 0;
+  let unmatched = 0;
+
+  for (const inbound of messages) {
+    if (inbound.messageId) {
+      const existing = await InboundMessage.count({
+        where: { provider, gatewayMessageId: inbound.messageId },
+      });
+      if (existing > 0) {
+        duplicates++;
+        continue;
+      }
+    }
+
+    // Gateways send the sender's number in international form, usually
+    // without the "+"
+    const phone = toE164(inbound.from) || digits(inbound.from);
+    const { client, keyword } = await matchClient({
+      to: inbound.to,
+      text: inbound.text,
+    });
+    const contact = client ? await findContactByPhone(client.id, phone) : null;
+
+    if (!client) {
+      console.warn(`Inbound message from ${phone} matched no client`);
+      unmatched++;
+    }
+
+    const receivedAt =
+      inbound.timestamp && !isNaN(inbound.timestamp)
+        ? inbound.timestamp
+        : new Date();
+
+    stored.push(
+      await InboundMessage.create({
+        clientId: client?.id,
+        contactId: contact?.id,
+        provider,
+        gatewayMessageId: inbound.messageId,
+        phone,
+        shortcode: inbound.to ? String(inbound.to) : null,
+        keyword,
+        message: inbound.text,
+        receivedAt,
+      })
+    );
+  }
+
+  return {
+    messages: stored,
+    received: stored.length,
+    duplicates,
+    unmatched,
+  };
+};
+
+// Reply to a conversation. Replies go through the normal send pipeline
+// (balance, opt-outs, limits) but are answers to someone who just wrote, so
+// they ignore the sending window and duplicate protection.
+const sendReply = async (client, phone, { message, senderId }) => {
+  const senderName = await resolveSenderId(client.id, senderId);
+  const contact = await findContactByPhone(client.id, phone);
+
+  const result = await enqueueSend({
+    clientId: client.id,
+    message,
+    senderId: senderName,
+    recipients: [{ contactId: contact?.id, phone }],
+    urgent: true,
+    testMode: client.testMode,
+    checkDuplicates: false,
+  });
+
+  sendWorker.notify();
+  return result;
+};
+
+module.exports = {
+  normalizeKeyword,
+  firstKeyword,
+  findContactByPhone,
+  receiveInboundMessages,
+  sendReply,
+};
@@ -0,0 +1,164 @@
+const { Op } = require("sequelize");
+const {
+  Client,
+  Contact,
+  ContactGroup,
+  KeywordRule,
+  MessageTemplate,
+  Suppression,
+} = require("../models");
+const { normalizeKeyword, sendReply } = require("./inbox");
+const { renderMessage } = require("./messageTemplate");
+const { networkForPhone, toE164 } = require("./phoneNumbers");
+const { postToPublicUrl } = require("./publicUrls");
+
+const FORWARD_TIMEOUT_MS = 10000;
+
+// The keyword of an inbound message and the text after it. On a shared
+// shortcode the first word is the client's routing keyword, so the rule
+// keyword is the word after it.
+const splitKeyword = (inbound) => {
+  const words = String(inbound.message).trim().split(/\s+/);
+  const index = inbound.keyword ? 1 : 0;
+
+  return {
+    keyword: normalizeKeyword(words[index]) || null,
+    rest: words.slice(index + 1).join(" "),
+  };
+};
+
+// The client's active rule for a keyword, else its active fallback rule
+const findRule = async (clientId, keyword) => {
+  const rules = await KeywordRule.findAll({
+    where: {
+      clientId,
+      isActive: true,
+      [Op.or]: [{ keyword: null }, ...(keyword ? [{ keyword }] : [])],
+    },
+  });
+
+  return (
+    rules.find((rule) => rule.keyword === keyword) ||
+    rules.find((rule) => rule.isFallback()) ||
+    null
+  );
+};
+
+// Run one action; a failing action is logged and does not stop the others
+const runAction = async (rule, name, action) => {
+  try {
+    await action();
+  } catch (error) {
+    console.error(`Keyword rule ${rule.id} ${name} failed:`, error.message);
+  }
+};
+
+// Post the message to the rule's webhook without waiting for the answer
+const forwardMessage = (rule, inbound, contact) => {
+  postToPublicUrl(
+    rule.webhookUrl,
+    {
+      event: "inbound_message",
+      keyword: rule.keyword,
+      message: {
+        id: inbound.id,
+        phone: inbound.phone,
+        shortcode: inbound.shortcode,
+        text: inbound.message,
+        receivedAt: inbound.receivedAt,
+      },
+      contact: contact && { id: contact.id, name: contact.name },
+    },
+    { timeout: FORWARD_TIMEOUT_MS }
+  ).catch((error) => {
+    console.error(`Keyword rule ${rule.id} forward failed:`, error.message);
+  });
+};
+
+// Apply the matching keyword rule to a stored InboundMessage. Actions run
+// in order: add the sender to the group (creating a contact named after
+// the text following the keyword if the number is unknown), reply with the
+// template, suppress the number, forward to the webhook. Returns the rule
+// applied, or null.
+const applyKeywordRules = async (inbound) => {
+  if (!inbound.clientId) {
+    return null;
+  }
+
+  const { keyword, rest } = splitKeyword(inbound);
+  const rule = await findRule(inbound.clientId, keyword);
+  if (!rule) {
+    return null;
+  }
+
+  await inbound.update({ keywordRuleId: rule.id });
+  const client = await Client.findByPk(inbound.clientId);
+  let contact = inbound.contactId
+    ? await Contact.findByPk(inbound.contactId)
+    : null;
+  // What the reply template is rendered with
+  let values = contact || { phone: inbound.phone };
+
+  if (rule.groupId) {
+    await runAction(rule, "add to group", async () => {
+      const group = await ContactGroup.findOne({
+        where: { id: rule.groupId, clientId: client.id },
+      });
+      if (!group) throw new Error("Group not found");
+
+      if (!contact) {
+        contact = await Contact.create({
+          clientId: client.id,
+          name: rest.slice(0, 255) || inbound.phone,
+          phone: inbound.phone,
+          normalizedPhone: toE164(inbound.phone),
+          network: networkForPhone(inbound.phone),
+        });
+        await inbound.update({ contactId: contact.id });
+        // Without a name given, {name} falls back to the template default
+        if (rest) values = contact;
+      }
+      await group.addMembers([contact.id]);
+    });
+  }
+
+  if (rule.replyTemplateId) {
+    await runAction(rule, "reply", async () => {
+      const template = await MessageTemplate.findOne({
+        where: { id: rule.replyTemplateId, clientId: client.id },
+      });
+      if (!template) throw new Error("Template not found");
+
+      await sendReply(client, inbound.phone, {
+        message: renderMessage(
+          template.content,
+          values,
+          template.defaults || {}
+        ),
+      });
+    });
+  }
+
+  if (rule.suppress) {
+    await runAction(rule, "suppress", () =>
+      Suppression.findOrCreate({
+        where: { clientId: client.id, phone: inbound.phone },
+        defaults: {
+          reason: `Sent keyword ${rule.keyword || keyword || "(none)"}`,
+          source: "keyword",
+        },
+      })
+    );
+  }
+
+  if (rule.webhookUrl) {
+    forwardMessage(rule, inbound, contact);
+  }
+
+  return rule;
+};
+
+module.exports = {
+  splitKeyword,
+  applyKeywordRules,
+};
@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const { ShortLink, LinkClick, SmsHistory, SmsMessage } = require("../models");
+
+const CODE_LENGTH = 7;
+const CODE_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+const INSERT_CHUNK_SIZE = 1000;
+
+// Public address of the /l redirect route, as phones will see it. Links
+// are only tracked when it is set: there is no address to fall back to that
+// phones could reach.
+const SHORT_LINK_BASE_URL = (process.env.SHORT_LINK_BASE_URL || "").replace(
+  /\/+$/,
+  ""
+);
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"]+/gi;
+// Punctuation that ends a sentence rather than the URL
+const TRAILING_PUNCTUATION = /[.,;:!?)\]'"]+$/;
+const SHORT_LINK_PATTERN =
+  SHORT_LINK_BASE_URL &&
+  new RegExp(
+    `${SHORT_LINK_BASE_URL.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}/[A-Za-z0-9]+`,
+    "g"
+  );
+
+const generateCode = () =>
+  Array.from(
+    crypto.randomBytes(CODE_LENGTH),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  ).join("");
+
+const shortLinkUrl = (code) => `${SHORT_LINK_BASE_URL}/${code}`;
+
+// Text with our short links removed, so two sends of the same text with
+// different tracking codes still compare equal
+const stripShortLinks = (text) =>
+  SHORT_LINK_PATTERN
+    ? String(text ?? "").replace(SHORT_LINK_PATTERN, "")
+    : String(text ?? "");
+
+// Replace every URL in `text` with a short link. `codes` maps each URL to
+// its code, so a URL repeated in the text gets one code.
+const shortenUrls = (text, codes = new Map()) => {
+  if (!SHORT_LINK_BASE_URL) {
+    throw new Error("SHORT_LINK_BASE_URL is not configured");
+  }
+
+  const shortened = String(text).replace(URL_PATTERN, (match) => {
+    const trailing = match.match(TRAILING_PUNCTUATION)?.[0] || "";
+    const url = match.slice(0, match.length - trailing.length);
+
+    if (url.startsWith(`${SHORT_LINK_BASE_URL}/`)) {
+      return match;
+    }
+
+    if (!codes.has(url)) codes.set(url, generateCode());
+    return `${shortLinkUrl(codes.get(url))}${trailing}`;
+  });
+
+  return { text: shortened, codes };
+};
+
+// Replace the URLs of a prepared send with short links: one set shared by
+// every recipient, or a set per recipient when the text is personalised.
+// Returns the new content and recipients, and the links to create as
+// `{ code, url, phone }` (phone only set for per-recipient links).
+const trackSendLinks = (content, recipients) => {
+  if (!recipients.some((recipient) => recipient.message)) {
+    const { text, codes } = shortenUrls(content);
+    return {
+      content: text,
+      recipients,
+      links: Array.from(codes, ([url, code]) => ({ code, url })),
+    };
+  }
+
+  const links = [];
+  const tracked = recipients.map((recipient) => {
+    const { text, codes } = shortenUrls(recipient.message);
+    codes.forEach((code, url) => {
+      links.push({ code, url, phone: recipient.phone });
+    });
+    return { ...recipient, message: text };
+  });
+
+  return { content, recipients: tracked, links };
+};
+
+// Store the short links of a send once its messages exist. Per-recipient
+// links of recipients that were left out (duplicates, opt-outs) are not
+// stored.
+const createShortLinks = async (
+  { clientId, smsHistoryId, links },
+  { transaction } = {}
+) => {
+  if (links.length === 0) {
+    return;
+  }
+
+  const messages = links.some((link) => link.phone)
+    ? await SmsMessage.findAll({
+        where: { smsHistoryId },
+        attributes: ["id", "phone"],
+        transaction,
+        raw: true,
+      })
+    : [];
+  const messageIds = new Map(messages.map((m) => [m.phone, m.id]));
+
+  const seen = new Set();
+  const rows = [];
+  links.forEach((link) => {
+    if (link.phone) {
+      // Only the first recipient with a number was kept
+      const key = `${link.phone} ${link.url}`;
+      if (!messageIds.has(link.phone) || seen.has(key)) return;
+      seen.add(key);
+    }
+
+    rows.push({
+      code: link.code,
+      clientId,
+      smsHistoryId,
+      smsMessageId: link.phone ? messageIds.get(link.phone) : null,
+      url: link.url,
+    });
+  });
+
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+    await ShortLink.bulkCreate(rows.slice(i, i + INSERT_CHUNK_SIZE), {
+      transaction,
+    });
+  }
+};
+
+// Record a click and update the counters of the link and its send. The
+// first click on a per-recipient link, or the first from an IP address on
+// a shared one, counts as unique.
+const recordClick = async (link, { ipAddress, userAgent }) => {
+  const now = new Date();
+
+  const [firstClick] = await ShortLink.update(
+    { firstClickedAt: now },
+    { where: { id: link.id, firstClickedAt: null } }
+  );
+  const unique = link.smsMessageId
+    ? firstClick > 0
+    : (await LinkClick.count({
+        where: { shortLinkId: link.id, ipAddress },
+      })) === 0;
+
+  await LinkClick.create({
+    shortLinkId: link.id,
+    ipAddress,
+    userAgent: userAgent ? userAgent.slice(0, 500) : null,
+  });
+  await link.increment("clickCount");
+  await ShortLink.update({ lastClickedAt: now }, { where: { id: link.id } });
+  await SmsHistory.increment(
+    { clickCount: 1, uniqueClickCount: unique ? 1 : 0 },
+    { where: { id: link.smsHistoryId } }
+  );
+};
+
+module.exports = {
+  SHORT_LINK_BASE_URL,
+  shortLinkUrl,
+  stripShortLinks,
+  shortenUrls,
+  trackSendLinks,
+  createShortLinks,
+  recordClick,
+};
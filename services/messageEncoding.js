@@ -0,0 +1,60 @@
+// GSM 03.38 basic character set (one septet each)
+const GSM_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+
+// GSM 03.38 extension table (escape + character, two septets each)
+const GSM_EXTENDED = "\f^{}\\[~]|€";
+
+const GSM_BASIC_SET = new Set(GSM_BASIC);
+const GSM_EXTENDED_SET = new Set(GSM_EXTENDED);
+
+const LIMITS = {
+  "GSM-7": { single: 160, multipart: 153 },
+  "UCS-2": { single: 70, multipart: 67 },
+};
+
+const isGsm7 = (text) =>
+  [...text].every((ch) => GSM_BASIC_SET.has(ch) || GSM_EXTENDED_SET.has(ch));
+
+// Size of each character in encoding units (septets or UTF-16 code units)
+const characterUnits = (text, encoding) =>
+  [...text].map((ch) =>
+    encoding === "GSM-7" ? (GSM_EXTENDED_SET.has(ch) ? 2 : 1) : ch.length
+  );
+
+// Count concatenated segments without splitting an escape sequence or
+// surrogate pair across two parts. Even empty text takes (and costs) one.
+const countSegments = (units, limits) => {
+  const total = units.reduce((sum, size) => sum + size, 0);
+  if (total <= limits.single) return 1;
+
+  let segments = 1;
+  let used = 0;
+  for (const size of units) {
+    if (used + size > limits.multipart) {
+      segments++;
+      used = 0;
+    }
+    used += size;
+  }
+  return segments;
+};
+
+// Detect the encoding a message needs and how many SMS parts it takes
+const analyzeMessage = (text) => {
+  const message = String(text || "");
+  const encoding = isGsm7(message) ? "GSM-7" : "UCS-2";
+  const units = characterUnits(message, encoding);
+  const length = units.reduce((sum, size) => sum + size, 0);
+
+  return {
+    encoding,
+    length,
+    segments: countSegments(units, LIMITS[encoding]),
+  };
+};
+
+module.exports = {
+  analyzeMessage,
+};
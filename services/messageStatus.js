@@ -0,0 +1,138 @@
+const { sequelize, SmsHistory, SmsMessage } = require("../models");
+const { REFUND_UNDELIVERED, refundMessages } = require("./refunds");
+
+// Lifecycle order: pending -> sent -> delivered / failed / expired.
+// A report may only move a message forward, never back.
+const STATUS_RANK = {
+  pending: 0,
+  sent: 1,
+  delivered: 2,
+  failed: 2,
+  expired: 2,
+};
+
+const TIMESTAMP_FIELDS = {
+  sent: "sentAt",
+  delivered: "deliveredAt",
+  failed: "failedAt",
+  expired: "failedAt",
+};
+
+const emptyCounts = () => ({
+  pending: 0,
+  sent: 0,
+  delivered: 0,
+  failed: 0,
+  expired: 0,
+  cancelled: 0,
+});
+
+// Count messages per status for each of `smsHistoryIds`. Returns a Map of
+// SmsHistory id to `{ pending, sent, delivered, failed, expired, cancelled }`.
+const countMessageStatuses = async (smsHistoryIds) => {
+  const rows = await SmsMessage.findAll({
+    where: { smsHistoryId: smsHistoryIds },
+    attributes: [
+      "smsHistoryId",
+      "status",
+      [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+    ],
+    group: ["smsHistoryId", "status"],
+    raw: true,
+  });
+
+  const countsById = new Map(smsHistoryIds.map((id) => [id, emptyCounts()]));
+  rows.forEach((row) => {
+    countsById.get(row.smsHistoryId)[row.status] = parseInt(row.count);
+  });
+
+  return countsById;
+};
+
+// Recount an SmsHistory entry from its messages and derive the overall status
+const refreshHistoryStatus = async (smsHistoryId) => {
+  const counts = (await countMessageStatuses([smsHistoryId])).get(smsHistoryId);
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const attempted = total - counts.cancelled;
+  const undelivered = counts.failed + counts.expired;
+
+  let status = "sent";
+  if (counts.pending > 0) {
+    status = "pending";
+  } else if (attempted === 0) {
+    status = "cancelled";
+  } else if (undelivered === attempted) {
+    status = "failed";
+  } else if (counts.sent === 0) {
+    status = "delivered";
+  }
+
+  await SmsHistory.update(
+    {
+      status,
+      sentCount: counts.sent + counts.delivered,
+      deliveredCount: counts.delivered,
+      failedCount: counts.failed,
+      expiredCount: counts.expired,
+    },
+    { where: { id: smsHistoryId } }
+  );
+
+  return status;
+};
+
+// Apply normalized delivery reports ({ messageId, status, error, timestamp })
+// to the matching messages, refund undeliverable ones, then refresh each
+// affected SmsHistory entry.
+const applyDeliveryReports = async (reports) => {
+  const historyIds = new Set();
+  const undeliveredIds = [];
+  let updated = 0;
+
+  for (const report of reports) {
+    if (!report.messageId || !(report.status in STATUS_RANK)) continue;
+
+    const message = await SmsMessage.findOne({
+      where: { gatewayMessageId: report.messageId },
+    });
+
+    if (!message || STATUS_RANK[report.status] <= STATUS_RANK[message.status]) {
+      continue;
+    }
+
+    const changes = {
+      status: report.status,
+      [TIMESTAMP_FIELDS[report.status]]: report.timestamp || new Date(),
+    };
+    if (report.error) {
+      changes.errorMessage = report.error;
+    }
+    if (!message.sentAt) {
+      changes.sentAt = changes.sentAt || new Date();
+    }
+
+    await message.update(changes);
+    historyIds.add(message.smsHistoryId);
+    if (report.status === "failed" || report.status === "expired") {
+      undeliveredIds.push(message.id);
+    }
+    updated++;
+  }
+
+  if (REFUND_UNDELIVERED) {
+    await refundMessages(undeliveredIds, "Not delivered to handset");
+  }
+
+  for (const smsHistoryId of historyIds) {
+    await refreshHistoryStatus(smsHistoryId);
+  }
+
+  return { received: reports.length, updated };
+};
+
+module.exports = {
+  countMessageStatuses,
+  refreshHistoryStatus,
+  applyDeliveryReports,
+};
@@ -0,0 +1,37 @@
+// Placeholders look like `{name}` or `{name|fallback}`
+const PLACEHOLDER_PATTERN = /\{\s*([A-Za-z0-9_]+)\s*(?:\|([^}]*))?\}/g;
+
+const hasPlaceholders = (content) =>
+  new RegExp(PLACEHOLDER_PATTERN.source).test(String(content || ""));
+
+// Values a contact offers to a template: built-in fields plus custom fields
+const contactValues = (contact) => ({
+  ...(contact.customFields || {}),
+  name: contact.name,
+  phone: contact.phone,
+});
+
+// Render a template for one contact. Missing values fall back to the inline
+// default, then the template defaults, then an empty string.
+const renderMessage = (content, contact, defaults = {}) => {
+  const values = contactValues(contact || {});
+
+  return String(content).replace(
+    PLACEHOLDER_PATTERN,
+    (match, key, inlineDefault) => {
+      const value = values[key];
+      if (value !== undefined && value !== null && String(value) !== "") {
+        return String(value);
+      }
+      if (inlineDefault !== undefined) {
+        return inlineDefault;
+      }
+      return defaults?.[key] !== undefined ? String(defaults[key]) : "";
+    }
+  );
+};
+
+module.exports = {
+  hasPlaceholders,
+  renderMessage,
+};
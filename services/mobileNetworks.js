@@ -0,0 +1,109 @@
+// Mobile network operators of each country, by the prefixes of the national
+// significant number allocated to them. Detection follows the allocation,
+// so a number ported to another operator still shows its original network.
+// Add a country's operators here to detect them.
+const NETWORKS = {
+  TZ: [
+    { id: "vodacom-tz", name: "Vodacom", prefixes: ["74", "75", "76", "79"] },
+    { id: "airtel-tz", name: "Airtel", prefixes: ["68", "69", "78"] },
+    { id: "tigo-tz", name: "Tigo/Yas", prefixes: ["65", "67", "71", "77"] },
+    { id: "halotel-tz", name: "Halotel", prefixes: ["61", "62"] },
+    { id: "ttcl-tz", name: "TTCL", prefixes: ["73"] },
+  ],
+  KE: [
+    {
+      id: "safaricom-ke",
+      name: "Safaricom",
+      prefixes: [
+        "70",
+        "71",
+        "72",
+        "740",
+        "741",
+        "742",
+        "743",
+        "745",
+        "746",
+        "748",
+        "757",
+        "758",
+        "759",
+        "768",
+        "769",
+        "79",
+        "110",
+        "111",
+        "112",
+        "113",
+        "114",
+        "115",
+      ],
+    },
+    {
+      id: "airtel-ke",
+      name: "Airtel",
+      prefixes: [
+        "73",
+        "750",
+        "751",
+        "752",
+        "753",
+        "754",
+        "755",
+        "756",
+        "762",
+        "78",
+        "100",
+        "101",
+        "102",
+      ],
+    },
+    { id: "telkom-ke", name: "Telkom", prefixes: ["77"] },
+  ],
+  UG: [
+    { id: "mtn-ug", name: "MTN", prefixes: ["76", "77", "78", "31", "39"] },
+    { id: "airtel-ug", name: "Airtel", prefixes: ["70", "74", "75", "20"] },
+    { id: "utl-ug", name: "UTL", prefixes: ["71"] },
+  ],
+  RW: [
+    { id: "mtn-rw", name: "MTN", prefixes: ["78", "79"] },
+    { id: "airtel-rw", name: "Airtel", prefixes: ["72", "73"] },
+  ],
+};
+
+// Every network as `{ id, name, country, prefixes }`
+const networkList = Object.entries(NETWORKS).flatMap(([country, networks]) =>
+  networks.map((network) => ({ ...network, country }))
+);
+
+const networksById = new Map(networkList.map((n) => [n.id, n]));
+
+const NETWORK_IDS = networkList.map((network) => network.id);
+
+// Get a network by id, or null
+const getNetwork = (id) => networksById.get(id) || null;
+
+// The id of the network a national number of `country` belongs to, by its
+// longest matching prefix, or null when it is unknown
+const detectNetwork = (country, nationalNumber) => {
+  let match = null;
+  let matchLength = 0;
+
+  (NETWORKS[country] || []).forEach((network) => {
+    network.prefixes.forEach((prefix) => {
+      if (prefix.length > matchLength && nationalNumber.startsWith(prefix)) {
+        match = network.id;
+        matchLength = prefix.length;
+      }
+    });
+  });
+
+  return match;
+};
+
+module.exports = {
+  NETWORK_IDS,
+  networkList,
+  getNetwork,
+  detectNetwork,
+};
@@ -0,0 +1,92 @@
+const { Op } = require("sequelize");
+const { sequelize, SmsMessage } = require("../models");
+const { getNetwork } = require("./mobileNetworks");
+
+const STATUSES = [
+  "pending",
+  "sent",
+  "delivered",
+  "failed",
+  "expired",
+  "cancelled",
+];
+
+// Where clause for messages created between the `from` and `to` query
+// parameters (either may be left out). Throws a RangeError naming the
+// parameter that is not a date.
+const createdBetween = ({ from, to }) => {
+  const range = {};
+
+  for (const [name, value, op] of [
+    ["from", from, Op.gte],
+    ["to", to, Op.lte],
+  ]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date)) {
+      throw new RangeError(`${name} must be a valid date`);
+    }
+    range[op] = date;
+  }
+
+  return Reflect.ownKeys(range).length > 0 ? { createdAt: range } : {};
+};
+
+// Count the messages matching `where` per status for each network (and each
+// provider within it when `byProvider`), busiest first. Messages still
+// "sent" are awaiting a delivery report, so a network whose share of them
+// stays high is being delayed on its route. Rates are shares of the
+// messages handed to a gateway, or null when there were none.
+const networkDeliveryReport = async (where, { byProvider = false } = {}) => {
+  const groupFields = byProvider ? ["network", "provider"] : ["network"];
+
+  const rows = await SmsMessage.findAll({
+    where,
+    attributes: [
+      ...groupFields,
+      "status",
+      [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+    ],
+    group: [...groupFields, "status"],
+    raw: true,
+  });
+
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = groupFields.map((field) => row[field]).join("\n");
+    if (!groups.has(key)) {
+      const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+      groups.set(key, {
+        network: row.network,
+        ...(byProvider && { provider: row.provider }),
+        total: 0,
+        ...counts,
+      });
+    }
+
+    const group = groups.get(key);
+    group[row.status] = parseInt(row.count);
+    group.total += parseInt(row.count);
+  });
+
+  return Array.from(groups.values())
+    .map((group) => {
+      const network = getNetwork(group.network);
+      const attempted =
+        group.sent + group.delivered + group.failed + group.expired;
+
+      return {
+        ...group,
+        networkName: network?.name || "Unknown",
+        country: network?.country || null,
+        deliveryRate: attempted ? group.delivered / attempted : null,
+        awaitingReportRate: attempted ? group.sent / attempted : null,
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+module.exports = {
+  createdBetween,
+  networkDeliveryReport,
+};
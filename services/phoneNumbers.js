@@ -0,0 +1,120 @@
+const { detectNetwork } = require("./mobileNetworks");
+
+// National numbering plans of the countries we serve, as the pattern of
+// the national significant number (without the trunk "0"). Numbers are
+// stored in E.164: "+", calling code, national number.
+const NUMBERING_PLANS = {
+  TZ: { callingCode: "255", pattern: /^(?:[67]\d|2[2-8])\d{7}$/ },
+  KE: { callingCode: "254", pattern: /^(?:7\d{8}|1[01]\d{7}|[2-6]\d{8})$/ },
+  UG: { callingCode: "256", pattern: /^[2-47]\d{8}$/ },
+  RW: { callingCode: "250", pattern: /^(?:7[2-9]|2[25])\d{7}$/ },
+};
+
+const SUPPORTED_COUNTRIES = Object.keys(NUMBERING_PLANS);
+const DEFAULT_COUNTRY = process.env.DEFAULT_COUNTRY || "TZ";
+const TRUNK_PREFIX = "0";
+// Numbers from countries without a plan above are only checked for shape
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+const INPUT_PATTERN = /^\+?[\d\s().-]+$/;
+
+// The country a client's numbers are read in when they have no country code
+const getClientCountry = (client) => client?.defaultCountry || DEFAULT_COUNTRY;
+
+// The country whose calling code `digits` starts with
+const countryForDigits = (digits) =>
+  SUPPORTED_COUNTRIES.find((country) =>
+    digits.startsWith(NUMBERING_PLANS[country].callingCode)
+  );
+
+const fromNational = (country, national) => {
+  const plan = NUMBERING_PLANS[country];
+
+  if (!plan.pattern.test(national)) {
+    return { valid: false, error: `Not a valid ${country} phone number` };
+  }
+
+  return {
+    valid: true,
+    phone: `+${plan.callingCode}${national}`,
+    country,
+    network: detectNetwork(country, national),
+  };
+};
+
+// `digits` start with a calling code
+const fromInternational = (digits) => {
+  const country = countryForDigits(digits);
+
+  if (!country) {
+    return E164_PATTERN.test(`+${digits}`)
+      ? { valid: true, phone: `+${digits}`, country: null, network: null }
+      : { valid: false, error: "Not a valid international phone number" };
+  }
+
+  // A trunk "0" is often kept after the calling code: +255 0712 ...
+  let national = digits.slice(NUMBERING_PLANS[country].callingCode.length);
+  if (national.startsWith(TRUNK_PREFIX)) {
+    national = national.slice(TRUNK_PREFIX.length);
+  }
+
+  return fromNational(country, national);
+};
+
+// Normalize a phone number as typed to E.164. Numbers without a "+" or
+// "00" prefix are read in `defaultCountry` ("0712 345 678" and
+// "712345678" in TZ are "+255712345678"), unless they start with the
+// calling code of a country we serve ("254712345678"). Returns
+// `{ valid: true, phone, country, network }` (country is null outside our
+// plans, network when the operator is unknown) or `{ valid: false, error }`.
+const normalizePhone = (value, defaultCountry = DEFAULT_COUNTRY) => {
+  const input = String(value ?? "").trim();
+
+  if (!INPUT_PATTERN.test(input)) {
+    return {
+      valid: false,
+      error: "Phone number may only contain digits, spaces, dashes and a +",
+    };
+  }
+
+  const digits = input.replace(/\D/g, "");
+
+  if (input.startsWith("+")) {
+    return fromInternational(digits);
+  }
+
+  if (digits.startsWith("00")) {
+    return fromInternational(digits.slice(2));
+  }
+
+  const country = NUMBERING_PLANS[defaultCountry]
+    ? defaultCountry
+    : DEFAULT_COUNTRY;
+
+  if (digits.startsWith(TRUNK_PREFIX)) {
+    return fromNational(country, digits.slice(TRUNK_PREFIX.length));
+  }
+
+  const national = fromNational(country, digits);
+  if (national.valid || !countryForDigits(digits)) {
+    return national;
+  }
+
+  return fromInternational(digits);
+};
+
+// E.164 form of a number, or null when it is not valid
+const toE164 = (value, defaultCountry) =>
+  normalizePhone(value, defaultCountry).phone || null;
+
+// Network id of a number, or null when it is invalid or the operator is
+// unknown
+const networkForPhone = (value) => normalizePhone(value).network || null;
+
+module.exports = {
+  SUPPORTED_COUNTRIES,
+  DEFAULT_COUNTRY,
+  getClientCountry,
+  normalizePhone,
+  toE164,
+  networkForPhone,
+};
@@ -0,0 +1,115 @@
+const axios = require("axios");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+// Addresses a client-supplied URL may not reach: this host, private
+// networks, link-local ones (cloud metadata lives at 169.254.169.254) and
+// other ranges that are not on the public internet. IPv4 and IPv6 ranges
+// are kept apart because a BlockList also checks IPv4 addresses against
+// IPv4-mapped IPv6 ranges, and every IPv4 address is in ::ffff:0:0/96.
+const blockedIpv4 = new net.BlockList();
+const blockedIpv6 = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([prefix, bits]) => blockedIpv4.addSubnet(prefix, bits, "ipv4"));
+[
+  // Unspecified, loopback and IPv4-compatible
+  ["::", 96],
+  // IPv4-mapped and NAT64 forms of IPv4 addresses
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([prefix, bits]) => blockedIpv6.addSubnet(prefix, bits, "ipv6"));
+
+const LOCAL_HOSTNAME = /(^|\.)(localhost|localdomain|local|internal)$/i;
+
+// Whether `address` is an IP address on the public internet
+const isPublicAddress = (address) => {
+  switch (net.isIP(address)) {
+    case 4:
+      return !blockedIpv4.check(address, "ipv4");
+    case 6:
+      return !blockedIpv6.check(address, "ipv6");
+    default:
+      return false;
+  }
+};
+
+// Whether `value` is an http(s) URL whose host is a public IP address or a
+// public-looking name (with a dot, not localhost or a .local/.internal
+// name). The name may still resolve to an internal address; postToPublicUrl
+// checks that when connecting.
+const isPublicUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return false;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "");
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname);
+  }
+
+  return hostname.includes(".") && !LOCAL_HOSTNAME.test(hostname);
+};
+
+// dns.lookup that fails when the name resolves to any non-public address,
+// so the address checked is the one connected to
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find((a) => !isPublicAddress(a.address));
+    if (blocked) {
+      return callback(
+        new Error(`${hostname} resolves to a non-public address`)
+      );
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const agents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+// POST to a client-supplied URL, refusing internal destinations and not
+// following redirects (which could lead to one)
+const postToPublicUrl = async (url, data, options = {}) => {
+  if (!isPublicUrl(url)) {
+    throw new Error("URL does not point to a public address");
+  }
+
+  return axios.post(url, data, { ...options, ...agents, maxRedirects: 0 });
+};
+
+module.exports = {
+  isPublicUrl,
+  postToPublicUrl,
+};
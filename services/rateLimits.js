@@ -0,0 +1,126 @@
+const { Op } = require("sequelize");
+const { SmsHistory } = require("../models");
+const {
+  getClientTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+} = require("./timezone");
+
+// Platform defaults for clients without their own limits; unset means
+// unlimited
+const envLimit = (name) => parseInt(process.env[name]) || null;
+
+const DEFAULT_LIMITS = {
+  messagesPerSecond: envLimit("RATE_LIMIT_MESSAGES_PER_SECOND"),
+  sendsPerMinute: envLimit("RATE_LIMIT_SENDS_PER_MINUTE"),
+  recipientsPerDay: envLimit("RATE_LIMIT_RECIPIENTS_PER_DAY"),
+};
+
+const LIMIT_FIELDS = Object.keys(DEFAULT_LIMITS);
+
+// A client's effective limits: its own where set, else the defaults
+const getClientLimits = (client) => {
+  const limits = {};
+  LIMIT_FIELDS.forEach((field) => {
+    limits[field] = client?.[field] ?? DEFAULT_LIMITS[field];
+  });
+  return limits;
+};
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Check the sends-per-minute limit. Test mode sends do not count, as for
+// the daily limit. Returns `{ allowed, retryAfter }`, with `retryAfter` in
+// seconds.
+const checkSendRate = async (client, options = {}) => {
+  const { sendsPerMinute } = getClientLimits(client);
+  if (!sendsPerMinute) return { allowed: true };
+
+  const recentSends = await SmsHistory.findAll({
+    where: {
+      clientId: client.id,
+      testMode: false,
+      createdAt: { [Op.gt]: new Date(Date.now() - 60000) },
+    },
+    attributes: ["createdAt"],
+    order: [["createdAt", "DESC"]],
+    limit: sendsPerMinute,
+    transaction: options.transaction,
+  });
+
+  if (recentSends.length < sendsPerMinute) return { allowed: true };
+
+  // A slot frees up once the oldest of the last `sendsPerMinute` sends
+  // leaves the window
+  const oldest = recentSends[recentSends.length - 1].createdAt;
+  return {
+    allowed: false,
+    retryAfter: secondsUntil(new Date(oldest.getTime() + 60000)),
+  };
+};
+
+// Check the recipients-per-day limit for a send to `recipientCount`
+// numbers. Days run midnight to midnight in the client's time zone. Returns
+// `{ allowed, remaining, retryAfter }`.
+const checkDailyRecipients = async (client, recipientCount, options = {}) => {
+  const { recipientsPerDay } = getClientLimits(client);
+  if (!recipientsPerDay) return { allowed: true, remaining: null };
+
+  const timeZone = getClientTimeZone(client);
+  const today = getZonedParts(new Date(), timeZone);
+  const startOfDay = zonedTimeToUtc(
+    { year: today.year, month: today.month, day: today.day },
+    timeZone
+  );
+  const startOfTomorrow = zonedTimeToUtc(
+    { year: today.year, month: today.month, day: today.day + 1 },
+    timeZone
+  );
+
+  const usedToday =
+    (await SmsHistory.sum("recipientCount", {
+      where: {
+        clientId: client.id,
+        status: { [Op.ne]: "cancelled" },
+        testMode: false,
+        createdAt: { [Op.gte]: startOfDay },
+      },
+      transaction: options.transaction,
+    })) || 0;
+
+  const remaining = Math.max(0, recipientsPerDay - usedToday);
+
+  return {
+    allowed: recipientCount <= remaining,
+    remaining,
+    retryAfter: secondsUntil(startOfTomorrow),
+  };
+};
+
+// Time each client may next hand messages to the gateway
+const nextSendAt = new Map();
+
+// Wait until `count` messages may go to the gateway for a client without
+// exceeding `messagesPerSecond`. Concurrent callers queue behind each
+// other.
+const throttle = async (clientId, count, messagesPerSecond) => {
+  if (!messagesPerSecond) return;
+
+  const now = Date.now();
+  const startAt = Math.max(now, nextSendAt.get(clientId) || 0);
+  nextSendAt.set(clientId, startAt + (count / messagesPerSecond) * 1000);
+
+  if (startAt > now) {
+    await new Promise((resolve) => setTimeout(resolve, startAt - now));
+  }
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  LIMIT_FIELDS,
+  getClientLimits,
+  checkSendRate,
+  checkDailyRecipients,
+  throttle,
+};
@@ -0,0 +1,85 @@
+const { Contact, ContactGroup } = require("../models");
+const { SendError } = require("./sendQueue");
+
+const CONTACT_ATTRIBUTES = [
+  "id",
+  "name",
+  "phone",
+  "normalizedPhone",
+  "customFields",
+];
+
+// Resolve the audience of a send to a de-duplicated list of contacts.
+// `sendToAll` takes every contact; otherwise `contactIds` and `groupIds`
+// are combined. Throws SendError when ids do not belong to the client.
+const resolveContacts = async (
+  clientId,
+  { sendToAll, contactIds, groupIds }
+) => {
+  if (sendToAll) {
+    return Contact.findAll({
+      where: { clientId },
+      attributes: CONTACT_ATTRIBUTES,
+    });
+  }
+
+  const hasContactIds = Array.isArray(contactIds) && contactIds.length > 0;
+  const hasGroupIds = Array.isArray(groupIds) && groupIds.length > 0;
+
+  if (!hasContactIds && !hasGroupIds) {
+    throw new SendError(
+      "Contact IDs or group IDs are required when not sending to all"
+    );
+  }
+
+  const contactsById = new Map();
+
+  if (hasContactIds) {
+    const contacts = await Contact.findAll({
+      where: { id: contactIds, clientId },
+      attributes: CONTACT_ATTRIBUTES,
+    });
+
+    if (contacts.length !== new Set(contactIds).size) {
+      throw new SendError(
+        "Some contacts not found or do not belong to this client"
+      );
+    }
+
+    contacts.forEach((contact) => contactsById.set(contact.id, contact));
+  }
+
+  if (hasGroupIds) {
+    const groupCount = await ContactGroup.count({
+      where: { id: groupIds, clientId },
+    });
+
+    if (groupCount !== new Set(groupIds).size) {
+      throw new SendError(
+        "Some groups not found or do not belong to this client"
+      );
+    }
+
+    const members = await Contact.findAll({
+      where: { clientId },
+      attributes: CONTACT_ATTRIBUTES,
+      include: [
+        {
+          model: ContactGroup,
+          as: "groups",
+          where: { id: groupIds },
+          attributes: [],
+          through: { attributes: [] },
+        },
+      ],
+    });
+
+    members.forEach((contact) => contactsById.set(contact.id, contact));
+  }
+
+  return Array.from(contactsById.values());
+};
+
+module.exports = {
+  resolveContacts,
+};
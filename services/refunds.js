@@ -0,0 +1,83 @@
+const { sequelize, SmsHistory, SmsMessage, LedgerEntry } = require("../models");
+
+const REFUND_UNDELIVERED = process.env.REFUND_UNDELIVERED !== "false";
+
+// Return the credits charged for failed messages to the client's balance.
+// Each message is refunded at most once; one ledger entry is recorded
+// per SmsHistory send. Returns the number of credits refunded.
+const refundMessages = async (messageIds, reason) => {
+  if (messageIds.length === 0) return 0;
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Test mode sends were never charged, so there is nothing to refund
+    const messages = await SmsMessage.findAll({
+      where: {
+        id: messageIds,
+        refundedAt: null,
+        "$smsHistory.testMode$": false,
+      },
+      attributes: ["id", "clientId", "smsHistoryId", "segments"],
+      include: [{ model: SmsHistory, as: "smsHistory", attributes: [] }],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (messages.length === 0) {
+      await transaction.commit();
+      return 0;
+    }
+
+    await SmsMessage.update(
+      { refundedAt: new Date() },
+      { where: { id: messages.map((m) => m.id) }, transaction }
+    );
+
+    // Group credits by client and send
+    const refunds = new Map();
+    messages.forEach((message) => {
+      const key = `${message.clientId}:${message.smsHistoryId}`;
+      const refund = refunds.get(key) || {
+        clientId: message.clientId,
+        smsHistoryId: message.smsHistoryId,
+        amount: 0,
+      };
+      refund.amount += message.segments;
+      refunds.set(key, refund);
+    });
+
+    let total = 0;
+    for (const refund of refunds.values()) {
+      await LedgerEntry.post(
+        {
+          clientId: refund.clientId,
+          type: "refund",
+          amount: refund.amount,
+          referenceType: "sms_history",
+          referenceId: refund.smsHistoryId,
+          description: reason,
+        },
+        { transaction }
+      );
+
+      await SmsHistory.increment(
+        { smsRefunded: refund.amount },
+        { where: { id: refund.smsHistoryId }, transaction }
+      );
+
+      total += refund.amount;
+    }
+
+    await transaction.commit();
+    return total;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  REFUND_UNDELIVERED,
+  refundMessages,
+};
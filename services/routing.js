@@ -0,0 +1,40 @@
+const { Op } = require("sequelize");
+const { RoutingRule } = require("../models");
+const { getProvider, getProviderForJob } = require("./smsProviders");
+
+// Providers that never reach a real gateway. Their traffic is never
+// routed elsewhere, so a development or test client cannot end up on a
+// paid gateway, and no rule routes charged traffic to them.
+const OFFLINE_PROVIDERS = ["mock", "sandbox"];
+
+// Build the router for a send job: a function from a message's network to
+// the adapter it is sent through. A client's own rule for a network takes
+// precedence over the platform-wide one; platform-wide rules only apply to
+// clients without a provider of their own. Networks without a rule use the
+// client's provider. Test mode jobs always use the sandbox.
+const getJobRouter = async (job, client) => {
+  const defaultProvider = getProviderForJob(job, client);
+  if (job.testMode || OFFLINE_PROVIDERS.includes(defaultProvider.name)) {
+    return () => defaultProvider;
+  }
+
+  const rules = await RoutingRule.findAll({
+    where: client.smsProvider
+      ? { clientId: client.id }
+      : { [Op.or]: [{ clientId: client.id }, { clientId: null }] },
+  });
+
+  const routes = new Map();
+  rules
+    .filter((rule) => rule.clientId === null)
+    .concat(rules.filter((rule) => rule.clientId !== null))
+    .filter((rule) => !OFFLINE_PROVIDERS.includes(rule.provider))
+    .forEach((rule) => routes.set(rule.network, getProvider(rule.provider)));
+
+  return (network) => routes.get(network) || defaultProvider;
+};
+
+module.exports = {
+  OFFLINE_PROVIDERS,
+  getJobRouter,
+};
@@ -0,0 +1,80 @@
+const { Op } = require("sequelize");
+const { sequelize, SendJob, SmsHistory, LedgerEntry } = require("../models");
+const sendWorker = require("./sendWorker");
+
+const SCHEDULER_INTERVAL_MS =
+  parseInt(process.env.SMS_SCHEDULER_INTERVAL_MS) || 30000;
+
+let timer = null;
+
+// Queue a scheduled job and capture its reserved credits as usage.
+// Returns false when the job was cancelled or dispatched meanwhile.
+const dispatchJob = (job) =>
+  sequelize.transaction(async (transaction) => {
+    const [queued] = await SendJob.update(
+      { status: "queued" },
+      { where: { id: job.id, status: "scheduled" }, transaction }
+    );
+
+    // Test mode sends reserved nothing
+    if (!queued || job.testMode) return !!queued;
+
+    const smsHistory = await SmsHistory.findByPk(job.smsHistoryId, {
+      attributes: ["id", "smsUsed"],
+      transaction,
+    });
+    await LedgerEntry.post(
+      {
+        clientId: job.clientId,
+        type: "capture",
+        amount: smsHistory.smsUsed,
+        referenceType: "sms_history",
+        referenceId: smsHistory.id,
+        description: "Scheduled send dispatched",
+      },
+      { transaction }
+    );
+
+    return true;
+  });
+
+// Release scheduled jobs whose time has come to the send worker
+const dispatchDueJobs = async () => {
+  try {
+    const dueJobs = await SendJob.findAll({
+      where: {
+        status: "scheduled",
+        scheduledAt: { [Op.lte]: new Date() },
+      },
+      attributes: ["id", "clientId", "smsHistoryId", "testMode"],
+    });
+
+    let released = 0;
+    for (const job of dueJobs) {
+      if (await dispatchJob(job)) released++;
+    }
+
+    if (released > 0) {
+      console.log(`⏰ Released ${released} scheduled send(s)`);
+      sendWorker.notify();
+    }
+  } catch (error) {
+    console.error("Scheduler error:", error);
+  }
+};
+
+const start = () => {
+  timer = setInterval(dispatchDueJobs, SCHEDULER_INTERVAL_MS);
+  return dispatchDueJobs();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  dispatchDueJobs,
+};
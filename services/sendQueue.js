@@ -0,0 +1,523 @@
+const {
+  sequelize,
+  Client,
+  SmsBalance,
+  SmsHistory,
+  LedgerEntry,
+  SmsMessage,
+  SendJob,
+} = require("../models");
+const { analyzeMessage } = require("./messageEncoding");
+const { refreshHistoryStatus } = require("./messageStatus");
+const { createShortLinks } = require("./linkTracking");
+const { excludeSuppressed } = require("./suppressions");
+const { checkSendRate, checkDailyRecipients } = require("./rateLimits");
+const {
+  contentHash,
+  getDuplicateSettings,
+  findRecentDuplicates,
+} = require("./duplicateSends");
+const { networkForPhone } = require("./phoneNumbers");
+
+const INSERT_CHUNK_SIZE = 1000;
+// Normalized phone: E.164
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+const CANCELLABLE_STATUSES = ["scheduled", "queued", "processing", "paused"];
+// Most already-messaged recipients listed when a duplicate send is blocked
+const MAX_DUPLICATES_REPORTED = 100;
+
+// Error raised when a send cannot be queued; carries the HTTP status to use
+// and, for rate limits, the seconds to wait before retrying
+class SendError extends Error {
+  constructor(message, statusCode = 400, retryAfter) {
+    super(message);
+    this.name = "SendError";
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Raised when the client's duplicate policy is "block" and some recipients
+// already got this message; `duplicates` lists them
+class DuplicateSendError extends SendError {
+  constructor(message, duplicates) {
+    super(message, 409);
+    this.name = "DuplicateSendError";
+    this.duplicates = duplicates;
+  }
+}
+
+// Work out encoding, segments and content hash for every recipient.
+// Recipients with their own rendered `message` are measured individually.
+const measureRecipients = (message, recipients) => {
+  const shared = { ...analyzeMessage(message), hash: contentHash(message) };
+
+  return recipients.map((recipient) => {
+    const { encoding, segments } = recipient.message
+      ? analyzeMessage(recipient.message)
+      : shared;
+    const hash = recipient.message
+      ? contentHash(recipient.message)
+      : shared.hash;
+    return { ...recipient, encoding, segments, contentHash: hash };
+  });
+};
+
+// Cost and encoding of a send to `recipients`
+const summarizeRecipients = (recipients) => ({
+  smsUsed: recipients.reduce((sum, r) => sum + r.segments, 0),
+  encoding: recipients.some((r) => r.encoding === "UCS-2") ? "UCS-2" : "GSM-7",
+  segments: recipients.reduce((max, r) => Math.max(max, r.segments), 0),
+});
+
+// Drop recipients whose phone cannot be a real number, and repeats of a
+// number already in the list (the first occurrence is kept)
+const excludeInvalidAndDuplicates = (recipients) => {
+  const seen = new Set();
+  const valid = [];
+  let invalidCount = 0;
+  let duplicateCount = 0;
+
+  recipients.forEach((recipient) => {
+    if (!PHONE_PATTERN.test(recipient.phone || "")) {
+      invalidCount++;
+    } else if (seen.has(recipient.phone)) {
+      duplicateCount++;
+    } else {
+      seen.add(recipient.phone);
+      valid.push(recipient);
+    }
+  });
+
+  return { valid, invalidCount, duplicateCount };
+};
+
+// Drop recipients whose personalised text rendered empty, e.g. "{name}"
+// for a contact without a name
+const excludeEmptyMessages = (recipients) => {
+  const withText = recipients.filter(
+    (r) => r.message === undefined || r.message === null || r.message.trim()
+  );
+  return { withText, emptyCount: recipients.length - withText.length };
+};
+
+// Decide who a send actually goes to and what it costs, without writing
+// anything. Invalid and duplicate numbers, suppressed (opted-out) ones and
+// recipients whose personalised text is empty are dropped and not charged.
+const planSend = async ({ clientId, message, recipients }) => {
+  const { withText, emptyCount } = excludeEmptyMessages(recipients);
+  const { valid, invalidCount, duplicateCount } =
+    excludeInvalidAndDuplicates(withText);
+  const { allowed, suppressedCount } = await excludeSuppressed(clientId, valid);
+  const measured = measureRecipients(message, allowed);
+
+  return {
+    recipients: measured,
+    skipped: {
+      duplicates: duplicateCount,
+      invalid: invalidCount,
+      emptyMessage: emptyCount,
+      suppressed: suppressedCount,
+      recentlySent: 0,
+    },
+    ...summarizeRecipients(measured),
+  };
+};
+
+// Apply the client's duplicate policy to a plan: recipients who got the
+// same text within its window are dropped ("skip"), or the whole send is
+// refused with a DuplicateSendError listing them ("block")
+const excludeRecentDuplicates = async (client, plan, options) => {
+  const duplicates = await findRecentDuplicates(
+    client,
+    plan.recipients,
+    options
+  );
+  if (duplicates.size === 0) {
+    return plan;
+  }
+
+  const { policy, windowHours } = getDuplicateSettings(client);
+  const repeated = plan.recipients.filter((r) => duplicates.has(r.phone));
+
+  if (policy === "block") {
+    throw new DuplicateSendError(
+      `${repeated.length} recipient(s) already received this message in the last ${windowHours} hours`,
+      repeated.slice(0, MAX_DUPLICATES_REPORTED).map((recipient) => ({
+        contactId: recipient.contactId,
+        phone: recipient.phone,
+        ...duplicates.get(recipient.phone),
+      }))
+    );
+  }
+
+  const recipients = plan.recipients.filter((r) => !duplicates.has(r.phone));
+  return {
+    recipients,
+    skipped: { ...plan.skipped, recentlySent: repeated.length },
+    ...summarizeRecipients(recipients),
+  };
+};
+
+// Throw a 429 SendError when a send to `recipientCount` numbers would break
+// the client's sends-per-minute or recipients-per-day limit
+const assertWithinLimits = async (client, recipientCount, transaction) => {
+  const sendRate = await checkSendRate(client, { transaction });
+  if (!sendRate.allowed) {
+    throw new SendError(
+      "Send rate limit exceeded, try again later",
+      429,
+      sendRate.retryAfter
+    );
+  }
+
+  const daily = await checkDailyRecipients(client, recipientCount, {
+    transaction,
+  });
+  if (!daily.allowed) {
+    throw new SendError(
+      `Daily recipient limit exceeded. Requested: ${recipientCount}, Remaining today: ${daily.remaining}`,
+      429,
+      daily.retryAfter
+    );
+  }
+};
+
+// Reserve balance, record one pending message per recipient and queue a
+// send job for the background worker. Each recipient costs one credit per
+// SMS segment. The balance row is locked so concurrent sends cannot
+// overspend.
+// `recipients` is a list of `{ contactId, phone, message }` with normalized
+// phones; `message` is only set when the text is personalised.
+// `senderId` is an approved sender name, or null for the platform default.
+// With `scheduledAt` the job waits for the scheduler; the credits are
+// reserved up front, captured when it is dispatched and released again if
+// the send is cancelled. `testMode` sends go through the sandbox provider
+// and are never charged. `links` are the tracked short links in the text
+// (see services/linkTracking). `checkDuplicates: false` skips duplicate
+// protection.
+const enqueueSend = async ({
+  clientId,
+  message,
+  templateId,
+  senderId,
+  recipients,
+  scheduledAt,
+  urgent = false,
+  testMode = false,
+  campaignId,
+  trackLinks = false,
+  links = [],
+  checkDuplicates = true,
+}) => {
+  let plan = await planSend({ clientId, message, recipients });
+
+  if (plan.recipients.length === 0) {
+    throw new SendError(
+      "No recipients left to send to after excluding invalid, duplicate and suppressed numbers and empty messages"
+    );
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const smsBalance = await SmsBalance.findOne({
+      where: { clientId },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    // Checked under the balance lock so concurrent sends by the same client
+    // cannot both slip under a limit
+    const client = await Client.findByPk(clientId, { transaction });
+
+    // Also under the lock, so of two overlapping sends of the same message
+    // the second sees the first one's recipients
+    if (checkDuplicates) {
+      plan = await excludeRecentDuplicates(client, plan, {
+        testMode,
+        transaction,
+      });
+    }
+    if (plan.recipients.length === 0) {
+      throw new SendError(
+        "Every recipient already received this message recently",
+        409
+      );
+    }
+
+    const { smsUsed, encoding, segments, skipped } = plan;
+    await assertWithinLimits(client, plan.recipients.length, transaction);
+
+    if (!testMode && (!smsBalance || !smsBalance.hasEnoughBalance(smsUsed))) {
+      throw new SendError(
+        `Insufficient SMS balance. Required: ${smsUsed}, Available: ${
+          smsBalance?.totalSmsAvailable || 0
+        }`
+      );
+    }
+
+    const smsHistory = await SmsHistory.create(
+      {
+        clientId,
+        campaignId,
+        templateId,
+        senderId,
+        message,
+        recipientCount: plan.recipients.length,
+        suppressedCount: skipped.suppressed,
+        duplicateCount: skipped.duplicates,
+        invalidCount: skipped.invalid,
+        recentlySentCount: skipped.recentlySent,
+        smsUsed,
+        encoding,
+        segments,
+        status: "pending",
+        testMode,
+        trackLinks,
+      },
+      { transaction }
+    );
+
+    let chargedBalance = smsBalance;
+    if (!testMode) {
+      ({ smsBalance: chargedBalance } = await LedgerEntry.post(
+        {
+          clientId,
+          type: scheduledAt ? "reservation" : "send",
+          amount: smsUsed,
+          referenceType: "sms_history",
+          referenceId: smsHistory.id,
+          description: scheduledAt ? "Reserved for scheduled send" : "SMS send",
+        },
+        { transaction }
+      ));
+    }
+
+    for (let i = 0; i < plan.recipients.length; i += INSERT_CHUNK_SIZE) {
+      await SmsMessage.bulkCreate(
+        plan.recipients.slice(i, i + INSERT_CHUNK_SIZE).map((recipient) => ({
+          clientId,
+          smsHistoryId: smsHistory.id,
+          contactId: recipient.contactId,
+          phone: recipient.phone,
+          network: networkForPhone(recipient.phone),
+          message: recipient.message || null,
+          segments: recipient.segments,
+          contentHash: recipient.contentHash,
+        })),
+        { transaction }
+      );
+    }
+
+    await createShortLinks(
+      { clientId, smsHistoryId: smsHistory.id, links },
+      { transaction }
+    );
+
+    const job = await SendJob.create(
+      {
+        clientId,
+        smsHistoryId: smsHistory.id,
+        message,
+        senderId,
+        totalRecipients: plan.recipients.length,
+        status: scheduledAt ? "scheduled" : "queued",
+        scheduledAt,
+        urgent,
+        testMode,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    return {
+      job,
+      smsHistory,
+      smsBalance: chargedBalance,
+      skipped: plan.skipped,
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// Cancel the messages of a job that were never sent and give back their
+// credits: a scheduled send releases its reservation, a started one is
+// refunded from usage
+const cancelUnsentMessages = async (job, transaction) => {
+  // Test mode sends were never charged
+  const released = job.testMode
+    ? 0
+    : (await SmsMessage.sum("segments", {
+        where: { smsHistoryId: job.smsHistoryId, status: "pending" },
+        transaction,
+      })) || 0;
+  await SmsMessage.update(
+    { status: "cancelled" },
+    {
+      where: { smsHistoryId: job.smsHistoryId, status: "pending" },
+      transaction,
+    }
+  );
+
+  if (released > 0) {
+    const { smsBalance } = await LedgerEntry.post(
+      {
+        clientId: job.clientId,
+        type: job.status === "scheduled" ? "release" : "refund",
+        amount: released,
+        referenceType: "sms_history",
+        referenceId: job.smsHistoryId,
+        description: "Send cancelled",
+      },
+      { transaction }
+    );
+    return { released, smsBalance };
+  }
+
+  const smsBalance = await SmsBalance.findOne({
+    where: { clientId: job.clientId },
+    transaction,
+  });
+  return { released, smsBalance };
+};
+
+// Cancel a job that has not finished and give back the credits for its
+// unsent messages. A job the worker is sending is only marked cancelling
+// (`cancelling: true`, nothing released yet): the worker lets the batches
+// it has handed to the gateway finish, then cancels the rest through
+// finishCancel.
+const cancelSend = async (job) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const current = await SendJob.findByPk(job.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!current || !CANCELLABLE_STATUSES.includes(current.status)) {
+      throw new SendError("Only sends that have not finished can be cancelled");
+    }
+
+    if (current.status === "processing") {
+      await current.update(
+        { status: "cancelling", cancelledAt: new Date() },
+        { transaction }
+      );
+      const smsBalance = await SmsBalance.findOne({
+        where: { clientId: job.clientId },
+        transaction,
+      });
+      await transaction.commit();
+
+      return { released: 0, smsBalance, cancelling: true };
+    }
+
+    const result = await cancelUnsentMessages(current, transaction);
+    await current.update(
+      { status: "cancelled", cancelledAt: new Date() },
+      { transaction }
+    );
+
+    await transaction.commit();
+    await refreshHistoryStatus(job.smsHistoryId);
+
+    return { ...result, cancelling: false };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// Complete the cancellation of a job marked cancelling, once the worker
+// has no batch of it in flight. Does nothing for any other job.
+const finishCancel = async (job) => {
+  const { status } = await SendJob.findByPk(job.id, { attributes: ["status"] });
+  if (status !== "cancelling") {
+    return null;
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const current = await SendJob.findByPk(job.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!current || current.status !== "cancelling") {
+      await transaction.commit();
+      return null;
+    }
+
+    const result = await cancelUnsentMessages(current, transaction);
+    await current.update({ status: "cancelled" }, { transaction });
+
+    await transaction.commit();
+    await refreshHistoryStatus(job.smsHistoryId);
+
+    return result;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// Pause a job that is sending; it stops before its next batch
+const pauseSend = async (job) => {
+  const [paused] = await SendJob.update(
+    { status: "paused" },
+    { where: { id: job.id, status: ["queued", "processing"] } }
+  );
+
+  if (!paused) {
+    throw new SendError("Only sends in progress can be paused");
+  }
+
+  return job.reload();
+};
+
+// Put a paused job back in the queue
+const resumeSend = async (job) => {
+  const [resumed] = await SendJob.update(
+    { status: "queued" },
+    { where: { id: job.id, status: "paused" } }
+  );
+
+  if (!resumed) {
+    throw new SendError("Only paused sends can be resumed");
+  }
+
+  return job.reload();
+};
+
+// Move a scheduled job to a new time
+const rescheduleSend = async (job, scheduledAt) => {
+  const [updated] = await SendJob.update(
+    { scheduledAt },
+    { where: { id: job.id, status: "scheduled" } }
+  );
+
+  if (!updated) {
+    throw new SendError("Only scheduled sends can be rescheduled");
+  }
+
+  return job.reload();
+};
+
+module.exports = {
+  SendError,
+  DuplicateSendError,
+  planSend,
+  excludeRecentDuplicates,
+  enqueueSend,
+  cancelSend,
+  finishCancel,
+  pauseSend,
+  resumeSend,
+  rescheduleSend,
+};
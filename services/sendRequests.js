@@ -0,0 +1,185 @@
+const { MessageTemplate } = require("../models");
+const { enqueueSend, SendError } = require("./sendQueue");
+const {
+  getClientTimeZone,
+  isValidTimeZone,
+  parseDateTime,
+} = require("./timezone");
+const { nextAllowedTime } = require("./sendWindows");
+const { hasPlaceholders, renderMessage } = require("./messageTemplate");
+const { getClientCountry, toE164 } = require("./phoneNumbers");
+const { resolveContacts } = require("./recipients");
+const { resolveSenderId } = require("./senderIds");
+const { SHORT_LINK_BASE_URL, trackSendLinks } = require("./linkTracking");
+const sendWorker = require("./sendWorker");
+
+const MAX_SMS_PER_REQUEST = 100000; // Increased to handle large volumes
+
+// Resolve `scheduledAt` (+ optional IANA `timezone`, defaulting to the
+// client's) to a future Date. Throws SendError for invalid input.
+const parseScheduledAt = (scheduledAt, timezone) => {
+  if (!isValidTimeZone(timezone)) {
+    throw new SendError(`Unknown timezone: ${timezone}`);
+  }
+
+  const date = parseDateTime(scheduledAt, timezone);
+  if (!date) {
+    throw new SendError("scheduledAt must be an ISO 8601 date time");
+  }
+  if (date <= new Date()) {
+    throw new SendError("scheduledAt must be in the future");
+  }
+
+  return date;
+};
+
+// Refuse `trackLinks` when short links have no public address to point to.
+// Throws SendError.
+const checkTrackLinks = (trackLinks) => {
+  if (trackLinks && !SHORT_LINK_BASE_URL) {
+    throw new SendError("Link tracking is not configured on this server");
+  }
+};
+
+// Turn a send request (as accepted by POST /send-sms) into everything
+// enqueueSend needs: the text, sender, recipients with personalised text,
+// and when to send. With `trackLinks` URLs are replaced with short links,
+// returned as `links` to be stored with the send. Throws SendError for
+// invalid requests.
+const prepareSend = async (client, params) => {
+  const {
+    message,
+    templateId,
+    contactIds,
+    groupIds,
+    sendToAll,
+    senderId,
+    scheduledAt,
+    timezone,
+    urgent = false,
+    testMode = false,
+    trackLinks = false,
+  } = params;
+
+  checkTrackLinks(trackLinks);
+  const senderName = await resolveSenderId(client.id, senderId);
+
+  let content = message;
+  let defaults = {};
+  if (templateId) {
+    const template = await MessageTemplate.findOne({
+      where: { id: templateId, clientId: client.id },
+    });
+
+    if (!template) {
+      throw new SendError("Template not found", 404);
+    }
+
+    content = template.content;
+    defaults = template.defaults || {};
+  }
+
+  if (!content || typeof content !== "string" || content.trim().length === 0) {
+    throw new SendError(
+      "Message or templateId is required and cannot be empty"
+    );
+  }
+
+  const contacts = await resolveContacts(client.id, {
+    sendToAll,
+    contactIds,
+    groupIds,
+  });
+
+  if (contacts.length === 0) {
+    throw new SendError("No contacts found to send SMS to");
+  }
+
+  if (contacts.length > MAX_SMS_PER_REQUEST) {
+    throw new SendError(
+      `Maximum ${MAX_SMS_PER_REQUEST} SMS per request exceeded`,
+      429
+    );
+  }
+
+  let sendAt = scheduledAt
+    ? parseScheduledAt(scheduledAt, timezone || getClientTimeZone(client))
+    : undefined;
+
+  // Outside the client's sending window: defer to when it next opens,
+  // unless this is an urgent alert
+  let deferred = false;
+  if (!urgent) {
+    const requestedAt = sendAt || new Date();
+    const allowedAt = nextAllowedTime(client, requestedAt);
+    if (allowedAt > requestedAt) {
+      sendAt = allowedAt;
+      deferred = true;
+    }
+  }
+
+  // Render the text per contact when personalised. Contacts saved before
+  // numbers were normalized are read in the client's country; invalid
+  // numbers are left empty and skipped as invalid.
+  const personalised = hasPlaceholders(content);
+  const country = getClientCountry(client);
+  let recipients = contacts.map((c) => ({
+    contactId: c.id,
+    phone: c.normalizedPhone || toE164(c.phone, country),
+    message: personalised ? renderMessage(content, c, defaults) : undefined,
+  }));
+
+  let links = [];
+  if (trackLinks) {
+    ({ content, recipients, links } = trackSendLinks(content, recipients));
+  }
+
+  return {
+    content,
+    templateId,
+    senderId: senderName,
+    contacts,
+    recipients,
+    sendAt,
+    deferred,
+    urgent: Boolean(urgent),
+    trackLinks: Boolean(trackLinks),
+    links,
+    // Test mode clients can only send test messages
+    testMode: client.testMode || Boolean(testMode),
+  };
+};
+
+// Prepare a send request, reserve balance and queue the job. `campaignId`
+// links the send to a campaign.
+const submitSend = async (client, params, { campaignId } = {}) => {
+  const prepared = await prepareSend(client, params);
+
+  const { job, smsHistory, smsBalance, skipped } = await enqueueSend({
+    clientId: client.id,
+    campaignId,
+    message: prepared.content,
+    templateId: prepared.templateId,
+    senderId: prepared.senderId,
+    recipients: prepared.recipients,
+    scheduledAt: prepared.sendAt,
+    urgent: prepared.urgent,
+    testMode: prepared.testMode,
+    trackLinks: prepared.trackLinks,
+    links: prepared.links,
+  });
+
+  if (!prepared.sendAt) {
+    sendWorker.notify();
+  }
+
+  return { ...prepared, job, smsHistory, smsBalance, skipped };
+};
+
+module.exports = {
+  MAX_SMS_PER_REQUEST,
+  checkTrackLinks,
+  parseScheduledAt,
+  prepareSend,
+  submitSend,
+};
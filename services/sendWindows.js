@@ -0,0 +1,83 @@
+const {
+  getClientTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+} = require("./timezone");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_BLACKOUT_DATES = 100;
+
+// "HH:MM" to minutes after midnight
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const formatDate = ({ year, month, day }) =>
+  `${year}-${pad(month)}-${pad(day)}`;
+
+// Whether minute-of-day `minutes` falls in the window. A window whose end
+// is before its start runs overnight, e.g. 22:00-06:00.
+const inWindow = (minutes, start, end) =>
+  start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+
+// Earliest instant at or after `date` when the client may send: inside its
+// daily sending window (in its time zone) and not on a blackout date.
+// Returns `date` itself when sending is allowed right away.
+const nextAllowedTime = (client, date = new Date()) => {
+  const blackoutDates = new Set(client?.blackoutDates || []);
+  const hasWindow = Boolean(client?.sendWindowStart && client?.sendWindowEnd);
+
+  if (!hasWindow && blackoutDates.size === 0) {
+    return date;
+  }
+
+  const timeZone = getClientTimeZone(client);
+  const start = hasWindow ? toMinutes(client.sendWindowStart) : 0;
+  const end = hasWindow ? toMinutes(client.sendWindowEnd) : 24 * 60;
+  let candidate = date;
+
+  // Each pass moves to a later window opening or day; blackout dates are
+  // capped, so an allowed time is always found well within this bound
+  for (let i = 0; i < MAX_BLACKOUT_DATES * 2 + 2; i++) {
+    const parts = getZonedParts(candidate, timeZone);
+    const minutes = parts.hour * 60 + parts.minute;
+
+    if (blackoutDates.has(formatDate(parts))) {
+      candidate = zonedTimeToUtc(
+        { year: parts.year, month: parts.month, day: parts.day + 1 },
+        timeZone
+      );
+      continue;
+    }
+
+    if (!hasWindow || inWindow(minutes, start, end)) {
+      return candidate;
+    }
+
+    // Outside the window: it opens later today, or else tomorrow
+    const day = minutes < start ? parts.day : parts.day + 1;
+    candidate = zonedTimeToUtc(
+      {
+        year: parts.year,
+        month: parts.month,
+        day,
+        hour: Math.floor(start / 60),
+        minute: start % 60,
+      },
+      timeZone
+    );
+  }
+
+  return candidate;
+};
+
+module.exports = {
+  TIME_PATTERN,
+  MAX_BLACKOUT_DATES,
+  nextAllowedTime,
+};
@@ -0,0 +1,390 @@
+const { Op } = require("sequelize");
+const { Client, SmsHistory, SmsMessage, SendJob } = require("../models");
+const { getJobRouter } = require("./routing");
+const { finishCancel } = require("./sendQueue");
+const { refreshHistoryStatus } = require("./messageStatus");
+const { analyzeMessage } = require("./messageEncoding");
+const { refundMessages } = require("./refunds");
+const { sendViaGateway, GatewayUnavailableError } = require("./gatewayClient");
+const { getClientLimits, throttle } = require("./rateLimits");
+const { nextAllowedTime } = require("./sendWindows");
+
+const BATCH_SIZE = parseInt(process.env.SMS_BATCH_SIZE) || 1000;
+const MAX_CONCURRENT_BATCHES =
+  parseInt(process.env.SMS_MAX_CONCURRENT_BATCHES) || 10;
+const POLL_INTERVAL_MS = parseInt(process.env.SMS_WORKER_POLL_MS) || 5000;
+// Seconds of sending a throttled client gets per turn before other jobs
+// get theirs
+const TURN_SECONDS = 5;
+
+let pollTimer = null;
+let running = false;
+
+// Split an array into chunks of `size`
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Run `handler` over `items` with at most `limit` calls in flight. After
+// the first error no new items are started; the calls in flight are
+// awaited before the error is rethrown.
+const runWithConcurrency = async (items, limit, handler) => {
+  let next = 0;
+  let failure = null;
+  const lanes = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (!failure && next < items.length) {
+        const item = items[next++];
+        try {
+          await handler(item);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    }
+  );
+  await Promise.all(lanes);
+
+  if (failure) throw failure;
+};
+
+// Atomically move the queued job that waited longest to processing,
+// skipping `skipIds` and jobs deferred to a later sending window. Jobs go
+// to the back of the queue after each turn, so ordering by updatedAt takes
+// turns between jobs.
+const claimNextJob = async (skipIds = []) => {
+  const job = await SendJob.findOne({
+    where: {
+      status: "queued",
+      id: { [Op.notIn]: skipIds },
+      [Op.or]: [
+        { scheduledAt: null },
+        { scheduledAt: { [Op.lte]: new Date() } },
+      ],
+    },
+    order: [
+      ["updatedAt", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+
+  if (!job) {
+    return null;
+  }
+
+  const [claimed] = await SendJob.update(
+    { status: "processing", startedAt: job.startedAt || new Date() },
+    { where: { id: job.id, status: "queued" } }
+  );
+
+  // Another worker got there first, try the next one
+  return claimed ? job.reload() : claimNextJob(skipIds);
+};
+
+// Raised between batches when the job was paused or cancelled meanwhile
+class JobStoppedError extends Error {}
+
+// Stop before handing more messages to the gateway once the job is paused
+// or cancelled
+const checkStillProcessing = async (job) => {
+  const current = await SendJob.findByPk(job.id, { attributes: ["status"] });
+  if (current.status !== "processing") {
+    throw new JobStoppedError();
+  }
+};
+
+// Put a job back in the queue unless it was paused or cancelled meanwhile
+const requeueJob = (job, fields = {}) =>
+  SendJob.update(
+    { status: "queued", ...fields },
+    { where: { id: job.id, status: "processing" } }
+  );
+
+// Record the final job and history status. When the job aborted with an
+// error, recipients that were never attempted are marked failed and
+// refunded.
+const finishJob = async (job, error) => {
+  if (error) {
+    const abandoned = await SmsMessage.findAll({
+      where: { smsHistoryId: job.smsHistoryId, status: "pending" },
+      attributes: ["id"],
+    });
+    const abandonedIds = abandoned.map((m) => m.id);
+
+    if (abandonedIds.length > 0) {
+      await SmsMessage.update(
+        { status: "failed", errorMessage: error, failedAt: new Date() },
+        { where: { id: abandonedIds } }
+      );
+      await refundMessages(abandonedIds, "Send aborted before delivery");
+      await job.increment({
+        processedCount: abandonedIds.length,
+        failedCount: abandonedIds.length,
+      });
+      await job.reload();
+    }
+  }
+
+  const status = job.sentCount > 0 ? "completed" : "failed";
+
+  // A job cancelled meanwhile keeps its cancelled status
+  await SendJob.update(
+    { status, error: error || job.error, completedAt: new Date() },
+    { where: { id: job.id, status: "processing" } }
+  );
+
+  await SmsHistory.update(
+    { sentAt: new Date() },
+    { where: { id: job.smsHistoryId } }
+  );
+  await refreshHistoryStatus(job.smsHistoryId);
+};
+
+// Send one batch of pending messages and record each recipient's outcome.
+// Messages are grouped by the provider their network is routed through and,
+// when personalised, by their rendered text, since the gateway takes one
+// text per request.
+const sendBatch = async (job, route, messages, messagesPerSecond) => {
+  const groups = new Map();
+  messages.forEach((message) => {
+    const provider = route(message.network);
+    const text = message.message || job.message;
+    const key = `${provider.name}\n${text}`;
+    if (!groups.has(key)) groups.set(key, { provider, text, messages: [] });
+    groups.get(key).messages.push(message);
+  });
+
+  for (const { provider, text, messages: group } of groups.values()) {
+    await throttle(job.clientId, group.length, messagesPerSecond);
+    // Throttling may have waited long enough for the job to be stopped
+    if (messagesPerSecond) {
+      await checkStillProcessing(job);
+    }
+    await sendGroup(job, provider, text, group);
+  }
+};
+
+const sendGroup = async (job, provider, text, messages) => {
+  const response = await sendViaGateway(provider, {
+    numbers: messages.map((m) => m.phone),
+    message: text,
+    encoding: analyzeMessage(text).encoding,
+    senderId: job.senderId,
+  });
+  const now = new Date();
+
+  // Without per-number results the request as a whole succeeded or failed
+  const results =
+    response.results ||
+    messages.map(() => ({
+      success: response.success,
+      error: response.error || "Gateway rejected batch",
+    }));
+
+  const sentIds = [];
+  const failedByError = new Map();
+
+  for (const [index, message] of messages.entries()) {
+    const result = results[index] || {
+      success: false,
+      error: "No result returned by gateway",
+    };
+
+    if (!result.success) {
+      const error = result.error || "Gateway rejected message";
+      if (!failedByError.has(error)) failedByError.set(error, []);
+      failedByError.get(error).push(message.id);
+    } else if (result.messageId) {
+      await SmsMessage.update(
+        {
+          status: "sent",
+          provider: provider.name,
+          gatewayMessageId: result.messageId,
+          sentAt: now,
+        },
+        { where: { id: message.id, status: "pending" } }
+      );
+    } else {
+      sentIds.push(message.id);
+    }
+  }
+
+  if (sentIds.length > 0) {
+    await SmsMessage.update(
+      { status: "sent", provider: provider.name, sentAt: now },
+      { where: { id: sentIds, status: "pending" } }
+    );
+  }
+
+  let failedCount = 0;
+  for (const [error, ids] of failedByError) {
+    await SmsMessage.update(
+      {
+        status: "failed",
+        provider: provider.name,
+        errorMessage: error,
+        failedAt: now,
+      },
+      { where: { id: ids, status: "pending" } }
+    );
+    await refundMessages(ids, `Rejected by gateway: ${error}`);
+    await job.update({ error });
+    failedCount += ids.length;
+  }
+
+  await job.increment({
+    processedCount: messages.length,
+    sentCount: messages.length - failedCount,
+    failedCount,
+  });
+};
+
+// Give a job one turn: send the next page of its pending messages, then
+// put it back in the queue if any are left so other clients' jobs are not
+// starved. Returns false when the job was put back because its gateway is
+// unavailable. A job cancelled meanwhile has its unsent messages cancelled
+// once the batches in flight are done.
+const processJob = async (job) => {
+  try {
+    return await sendTurn(job);
+  } finally {
+    await finishCancel(job);
+  }
+};
+
+// One turn of processJob
+const sendTurn = async (job) => {
+  try {
+    const client = await Client.findByPk(job.clientId);
+    const route = await getJobRouter(job, client);
+    const { messagesPerSecond } = getClientLimits(client);
+
+    // Outside the client's sending window: wait for it to open again
+    if (!job.urgent) {
+      const now = new Date();
+      const allowedAt = nextAllowedTime(client, now);
+      if (allowedAt > now) {
+        await requeueJob(job, { scheduledAt: allowedAt });
+        return true;
+      }
+    }
+
+    const turnSize = messagesPerSecond
+      ? Math.min(
+          BATCH_SIZE * MAX_CONCURRENT_BATCHES,
+          messagesPerSecond * TURN_SECONDS
+        )
+      : BATCH_SIZE * MAX_CONCURRENT_BATCHES;
+
+    const messages = await SmsMessage.findAll({
+      where: { smsHistoryId: job.smsHistoryId, status: "pending" },
+      attributes: ["id", "phone", "network", "message"],
+      order: [["id", "ASC"]],
+      limit: turnSize,
+    });
+
+    await runWithConcurrency(
+      // A throttled client sends at most one second's worth per request
+      chunk(messages, Math.min(BATCH_SIZE, messagesPerSecond || BATCH_SIZE)),
+      MAX_CONCURRENT_BATCHES,
+      async (batch) => {
+        // Stop between batches once the job is paused or cancelled
+        await checkStillProcessing(job);
+        await sendBatch(job, route, batch, messagesPerSecond);
+      }
+    );
+
+    const pending = await SmsMessage.count({
+      where: { smsHistoryId: job.smsHistoryId, status: "pending" },
+    });
+
+    await job.reload();
+    if (pending > 0) {
+      await requeueJob(job);
+    } else {
+      await finishJob(job);
+    }
+  } catch (error) {
+    if (error instanceof JobStoppedError) {
+      await refreshHistoryStatus(job.smsHistoryId);
+      return true;
+    }
+
+    if (error instanceof GatewayUnavailableError) {
+      // Leave the remaining messages pending and wait for the gateway
+      console.warn(`Send job ${job.id} waiting for gateway: ${error.message}`);
+      await requeueJob(job, { error: error.message });
+      return false;
+    }
+
+    console.error(`Send job ${job.id} failed:`, error);
+    await job.reload();
+    await finishJob(job, error.message);
+  }
+
+  return true;
+};
+
+// Process queued jobs until none are left. Jobs put back because their
+// gateway is down are retried on the next poll.
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const deferredIds = [];
+    let job;
+    while ((job = await claimNextJob(deferredIds))) {
+      if (!(await processJob(job))) {
+        deferredIds.push(job.id);
+      }
+    }
+  } catch (error) {
+    console.error("Send worker error:", error);
+  } finally {
+    running = false;
+  }
+};
+
+// Jobs left processing by a crash are queued again; only messages still
+// pending are sent, so at most the batches in flight at the time repeat.
+// Jobs cancelled while the crashed worker was sending them are cancelled
+// now that nothing of theirs is in flight.
+const recoverInterruptedJobs = async () => {
+  await SendJob.update(
+    { status: "queued" },
+    { where: { status: "processing" } }
+  );
+
+  const cancelling = await SendJob.findAll({ where: { status: "cancelling" } });
+  for (const job of cancelling) {
+    await finishCancel(job);
+  }
+};
+
+const start = async () => {
+  await recoverInterruptedJobs();
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+};
+
+const stop = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+// Wake the worker right away instead of waiting for the next poll
+const notify = () => {
+  setImmediate(tick);
+};
+
+module.exports = {
+  start,
+  stop,
+  notify,
+};
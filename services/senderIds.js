@@ -0,0 +1,32 @@
+const { SenderId } = require("../models");
+const { SendError } = require("./sendQueue");
+
+// Pick the sender ID for a send. A requested name must be one of the
+// client's approved sender IDs; otherwise the client's default is used.
+// Returns null when the client has none, so the platform sender applies.
+const resolveSenderId = async (clientId, requested) => {
+  if (requested) {
+    const senderId = await SenderId.findOne({
+      where: { clientId, name: requested, status: "approved" },
+    });
+
+    if (!senderId) {
+      throw new SendError(
+        `Sender ID "${requested}" is not approved for this client`,
+        403
+      );
+    }
+
+    return senderId.name;
+  }
+
+  const defaultSenderId = await SenderId.findOne({
+    where: { clientId, status: "approved", isDefault: true },
+  });
+
+  return defaultSenderId ? defaultSenderId.name : null;
+};
+
+module.exports = {
+  resolveSenderId,
+};
@@ -0,0 +1,41 @@
+// Map SMPP-style delivery receipt states to our message statuses
+const GATEWAY_STATUSES = {
+  DELIVRD: "delivered",
+  DELIVERED: "delivered",
+  EXPIRED: "expired",
+  UNDELIV: "failed",
+  UNDELIVERED: "failed",
+  REJECTD: "failed",
+  REJECTED: "failed",
+  DELETED: "failed",
+  FAILED: "failed",
+  UNKNOWN: "failed",
+  ACCEPTD: "sent",
+  ACCEPTED: "sent",
+  ENROUTE: "sent",
+  SENT: "sent",
+};
+
+const mapGatewayStatus = (value) =>
+  GATEWAY_STATUSES[
+    String(value || "")
+      .trim()
+      .toUpperCase()
+  ] || null;
+
+// Read a field from a gateway payload regardless of key casing
+const pickField = (payload, names) => {
+  const keys = Object.keys(payload || {});
+  for (const name of names) {
+    const key = keys.find((k) => k.toLowerCase() === name.toLowerCase());
+    if (key && payload[key] !== undefined && payload[key] !== "") {
+      return payload[key];
+    }
+  }
+  return undefined;
+};
+
+module.exports = {
+  mapGatewayStatus,
+  pickField,
+};
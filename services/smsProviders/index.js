@@ -0,0 +1,55 @@
+require("dotenv").config();
+
+const mshastra = require("./mshastra");
+const mock = require("./mock");
+const sandbox = require("./sandbox");
+
+// Registered gateway adapters. Each adapter exposes:
+// - `name`
+// - `send({ numbers, message, encoding, senderId })`, resolving to
+//   `{ success, provider, status, results, data | error }` where `results`
+//   holds one `{ number, success, messageId, error }` per number, in order
+//   (absent when the request itself failed). `transient: true` marks a
+//   failure worth retrying (timeout, network error, 5xx). `encoding` is
+//   "GSM-7" or "UCS-2" as detected by services/messageEncoding; a missing
+//   `senderId` means the platform default sender (SMS_SENDER).
+// - `parseDeliveryReports(payload)`, returning normalized
+//   `{ messageId, status, error, timestamp }` reports from a DLR callback
+// - optionally `parseInboundMessages(payload)`, returning normalized
+//   `{ messageId, from, to, text, timestamp }` messages from an inbound
+//   (MO) callback
+const providers = {
+  [mshastra.name]: mshastra,
+  [mock.name]: mock,
+  [sandbox.name]: sandbox,
+};
+
+const DEFAULT_PROVIDER = "mshastra";
+
+const providerNames = Object.keys(providers);
+
+// Get an adapter by name, falling back to the configured default
+const getProvider = (name) => {
+  const providerName = name || process.env.SMS_PROVIDER || DEFAULT_PROVIDER;
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+// Get the adapter a client should send through
+const getProviderForClient = (client) => getProvider(client?.smsProvider);
+
+// Get the adapter for a send job; test mode jobs always use the sandbox
+const getProviderForJob = (job, client) =>
+  job.testMode ? sandbox : getProviderForClient(client);
+
+module.exports = {
+  providerNames,
+  getProvider,
+  getProviderForClient,
+  getProviderForJob,
+};
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+const DLR_DELAY_MS = parseInt(process.env.MOCK_DLR_DELAY_MS) || 2000;
+
+// Post fake delivery reports back to our own webhook, like a real gateway
+const postDeliveryReports = (messageIds) => {
+  const url =
+    process.env.MOCK_DLR_URL ||
+    `http://localhost:${process.env.PORT}/api/webhooks/dlr/mock`;
+
+  setTimeout(() => {
+    axios
+      .post(
+        url,
+        {
+          reports: messageIds.map((messageId) => ({
+            messageId,
+            status: "delivered",
+          })),
+        },
+        { headers: { "X-Webhook-Token": process.env.WEBHOOK_TOKEN } }
+      )
+      .catch((error) => {
+        console.error("[mock] Delivery report callback failed:", error.message);
+      });
+  }, DLR_DELAY_MS);
+};
+
+// Loopback provider: accepts every message without calling a real gateway.
+// Useful on development machines and in tests.
+// The message text is not logged: it may hold codes or personal details.
+const send = async ({ numbers, encoding = "GSM-7", senderId }) => {
+  console.log(
+    `[mock] Sending ${encoding} SMS from ${senderId || "default sender"} to ${
+      numbers.length
+    } number(s)`
+  );
+
+  const messageIds = numbers.map(() => `mock_${crypto.randomUUID()}`);
+
+  if (process.env.MOCK_DLR_ENABLED !== "false") {
+    postDeliveryReports(messageIds);
+  }
+
+  return {
+    success: true,
+    provider: "mock",
+    status: 200,
+    results: numbers.map((number, index) => ({
+      number,
+      success: true,
+      messageId: messageIds[index],
+    })),
+  };
+};
+
+// Mock reports are already in our normalized shape
+const parseDeliveryReports = (payload) => {
+  const reports = Array.isArray(payload.reports) ? payload.reports : [payload];
+
+  return reports
+    .filter((report) => report && report.messageId && report.status)
+    .map((report) => ({
+      messageId: String(report.messageId),
+      status: report.status,
+      error: report.error,
+    }));
+};
+
+// Inbound messages posted to the mock webhook (e.g. by hand while
+// developing) are already in our normalized shape
+const parseInboundMessages = (payload) => {
+  const messages = Array.isArray(payload.messages)
+    ? payload.messages
+    : [payload];
+
+  return messages
+    .filter((message) => message && message.from && message.text)
+    .map((message) => ({
+      messageId: message.messageId ? String(message.messageId) : undefined,
+      from: String(message.from),
+      to: message.to,
+      text: String(message.text),
+      timestamp: message.timestamp ? new Date(message.timestamp) : undefined,
+    }));
+};
+
+module.exports = {
+  name: "mock",
+  send,
+  parseDeliveryReports,
+  parseInboundMessages,
+};
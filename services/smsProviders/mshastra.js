@@ -0,0 +1,161 @@
+const axios = require("axios");
+require("dotenv").config();
+const { mapGatewayStatus, pickField } = require("./deliveryStatus");
+
+const API_URL = "https://mshastra.com/sendurlcomma.aspx";
+const TIMEOUT_MS = parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS) || 30000;
+
+// mShastra needs "Unicode" for anything outside the GSM-7 alphabet,
+// otherwise the text arrives garbled
+const LANGUAGES = {
+  "GSM-7": "English",
+  "UCS-2": "Unicode",
+};
+
+const SUCCESS_PATTERN = /send successful/i;
+const MESSAGE_ID_PATTERN = /(?:msg\s*id|message\s*id)\s*[:=]?\s*([\w-]+)/i;
+
+// The numbers we send and the numbers mShastra echoes back may differ in
+// the leading "+", so compare digits only
+const digits = (value) => String(value).replace(/\D/g, "");
+
+// mShastra answers with plain text: one "<number>-<status>" line per
+// recipient (e.g. "255712345678-Send Successful"), or a single account
+// level error such as "Invalid Password" or "No More Credits" that applies
+// to the whole request. Returns one result per number, in order.
+const parseSendResponse = (body, numbers) => {
+  const text = String(body ?? "").trim();
+  const resultsByNumber = new Map();
+
+  text.split(/[\r\n]+|","|",\s*"/).forEach((line) => {
+    const match = line
+      .replace(/"/g, "")
+      .match(/^\+?(\d{6,15})\s*[-:,]\s*(.+)$/);
+    if (!match) return;
+
+    const [, number, statusText] = match;
+    const messageId = statusText.match(MESSAGE_ID_PATTERN)?.[1];
+    resultsByNumber.set(digits(number), {
+      success: SUCCESS_PATTERN.test(statusText),
+      messageId,
+      error: SUCCESS_PATTERN.test(statusText) ? undefined : statusText.trim(),
+    });
+  });
+
+  return numbers.map((number) => {
+    const result = resultsByNumber.get(digits(number));
+    if (result) {
+      return { number, ...result };
+    }
+
+    if (resultsByNumber.size > 0) {
+      return { number, success: false, error: "No result returned by gateway" };
+    }
+
+    // No per-number lines: the whole response applies to every number
+    return SUCCESS_PATTERN.test(text)
+      ? { number, success: true }
+      : { number, success: false, error: text || "Empty gateway response" };
+  });
+};
+
+// Timeouts, network errors and 5xx/429 answers are worth retrying; anything
+// else means the request itself was refused
+const isTransientError = (error) =>
+  !error.response ||
+  error.response.status >= 500 ||
+  error.response.status === 429;
+
+// Send one message to a list of numbers through the mShastra gateway
+const send = async ({ numbers, message, encoding = "GSM-7", senderId }) => {
+  try {
+    const params = {
+      user: process.env.SMS_USER, // Profile ID
+      pwd: process.env.SMS_PASS, // Password
+      senderid: senderId || process.env.SMS_SENDER, // Sender ID
+      mobileno: numbers.join(","), // Mobile numbers with country code
+      msgtext: message, // Text message
+      language: LANGUAGES[encoding], // Unicode/English
+      // Numbers carry their own country code, so allow any destination
+      CountryCode: "ALL",
+    };
+    console.log(`Sending SMS to ${numbers.length} number(s) via mShastra`);
+    const response = await axios.get(API_URL, { params, timeout: TIMEOUT_MS });
+    const results = parseSendResponse(response.data, numbers);
+
+    return {
+      success: results.some((result) => result.success),
+      provider: "mshastra",
+      status: response.status,
+      results,
+      data: response.data,
+    };
+  } catch (error) {
+    console.error("SMS Sending Error:", error.message);
+    return {
+      success: false,
+      provider: "mshastra",
+      status: error.response?.status,
+      error: error.message,
+      transient: isTransientError(error),
+    };
+  }
+};
+
+// Turn an mShastra delivery callback (query string or form body) into
+// normalized delivery reports
+const parseDeliveryReports = (payload) => {
+  const messageId = pickField(payload, ["msgid", "messageid", "msg_id"]);
+  const status = mapGatewayStatus(pickField(payload, ["status", "dlrstatus"]));
+
+  if (!messageId || !status) {
+    return [];
+  }
+
+  const doneDate = pickField(payload, ["donedate", "deliverytime"]);
+  const timestamp = doneDate ? new Date(doneDate) : undefined;
+
+  return [
+    {
+      messageId: String(messageId),
+      status,
+      error:
+        status === "delivered"
+          ? undefined
+          : pickField(payload, ["description", "error", "reason"]),
+      timestamp: timestamp && !isNaN(timestamp) ? timestamp : undefined,
+    },
+  ];
+};
+
+// Turn an mShastra inbound (MO) callback into normalized inbound messages
+const parseInboundMessages = (payload) => {
+  const from = pickField(payload, ["mobile", "mobileno", "from", "sender"]);
+  const text = pickField(payload, ["message", "msgtext", "text", "msg"]);
+
+  if (!from || text === undefined) {
+    return [];
+  }
+
+  const receivedTime = pickField(payload, ["receivedtime", "datetime", "time"]);
+  const timestamp = receivedTime ? new Date(receivedTime) : undefined;
+  const messageId = pickField(payload, ["msgid", "messageid", "id"]);
+
+  return [
+    {
+      messageId: messageId ? String(messageId) : undefined,
+      from: String(from),
+      to: pickField(payload, ["shortcode", "to", "dest", "receiver"]),
+      text: String(text),
+      timestamp: timestamp && !isNaN(timestamp) ? timestamp : undefined,
+    },
+  ];
+};
+
+module.exports = {
+  name: "mshastra",
+  send,
+  parseSendResponse,
+  parseDeliveryReports,
+  parseInboundMessages,
+};
@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const { applyDeliveryReports } = require("../messageStatus");
+
+const DLR_DELAY_MS = parseInt(process.env.SANDBOX_DLR_DELAY_MS) || 2000;
+
+// Outcomes are decided by the last digit of the number, so integrators can
+// exercise every path on purpose:
+// - 1: rejected by the gateway when sending
+// - 2: sent, then a "failed" delivery report
+// - 3: sent, then an "expired" delivery report
+// - anything else: sent, then a "delivered" delivery report
+const OUTCOMES = {
+  1: { rejected: true, error: "Sandbox: number rejected by gateway" },
+  2: { status: "failed", error: "Sandbox: handset unreachable" },
+  3: { status: "expired", error: "Sandbox: message expired" },
+};
+
+const outcomeFor = (number) =>
+  OUTCOMES[String(number).slice(-1)] || { status: "delivered" };
+
+// Simulated provider for test mode sends. Never calls a real gateway;
+// delivery reports are applied in-process after SANDBOX_DLR_DELAY_MS.
+const send = async ({ numbers, encoding = "GSM-7", senderId }) => {
+  console.log(
+    `[sandbox] Sending ${encoding} SMS from ${
+      senderId || "default sender"
+    } to ${numbers.length} number(s)`
+  );
+
+  const results = numbers.map((number) => {
+    const outcome = outcomeFor(number);
+    return outcome.rejected
+      ? { number, success: false, error: outcome.error }
+      : { number, success: true, messageId: `sandbox_${crypto.randomUUID()}` };
+  });
+
+  const reports = results
+    .filter((result) => result.success)
+    .map((result) => {
+      const outcome = outcomeFor(result.number);
+      return {
+        messageId: result.messageId,
+        status: outcome.status,
+        error: outcome.error,
+      };
+    });
+
+  if (reports.length > 0) {
+    setTimeout(() => {
+      applyDeliveryReports(reports).catch((error) => {
+        console.error("[sandbox] Delivery reports failed:", error.message);
+      });
+    }, DLR_DELAY_MS);
+  }
+
+  return {
+    success: results.some((result) => result.success),
+    provider: "sandbox",
+    status: 200,
+    results,
+  };
+};
+
+// Sandbox reports never come in over HTTP, but accept the normalized shape
+// so the webhook can be exercised by hand
+const parseDeliveryReports = (payload) => {
+  const reports = Array.isArray(payload.reports) ? payload.reports : [payload];
+
+  return reports
+    .filter((report) => report && report.messageId && report.status)
+    .map((report) => ({
+      messageId: String(report.messageId),
+      status: report.status,
+      error: report.error,
+    }));
+};
+
+module.exports = {
+  name: "sandbox",
+  send,
+  parseDeliveryReports,
+};
@@ -0,0 +1,43 @@
+const { Op } = require("sequelize");
+const { Suppression } = require("../models");
+
+const LOOKUP_CHUNK_SIZE = 1000;
+
+// Which of the given normalized phones are suppressed for a client, either
+// on the client's own list or the platform-wide one
+const findSuppressedPhones = async (clientId, phones) => {
+  const suppressed = new Set();
+  const unique = Array.from(new Set(phones));
+
+  for (let i = 0; i < unique.length; i += LOOKUP_CHUNK_SIZE) {
+    const rows = await Suppression.findAll({
+      where: {
+        phone: unique.slice(i, i + LOOKUP_CHUNK_SIZE),
+        clientId: { [Op.or]: [clientId, null] },
+      },
+      attributes: ["phone"],
+      raw: true,
+    });
+    rows.forEach((row) => suppressed.add(row.phone));
+  }
+
+  return suppressed;
+};
+
+// Split recipients into those we may message and those who opted out
+const excludeSuppressed = async (clientId, recipients) => {
+  const suppressed = await findSuppressedPhones(
+    clientId,
+    recipients.map((r) => r.phone)
+  );
+
+  return {
+    allowed: recipients.filter((r) => !suppressed.has(r.phone)),
+    suppressedCount: recipients.filter((r) => suppressed.has(r.phone)).length,
+  };
+};
+
+module.exports = {
+  findSuppressedPhones,
+  excludeSuppressed,
+};
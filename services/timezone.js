@@ -0,0 +1,107 @@
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Africa/Dar_es_Salaam";
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock date and time parts of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach((part) => {
+    values[part.type] = parseInt(part.value);
+  });
+
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second,
+  };
+};
+
+// Offset of a time zone from UTC at an instant, in minutes
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+// Convert wall-clock parts in a time zone to an instant
+const zonedTimeToUtc = (parts, timeZone) => {
+  const guess = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour || 0,
+    parts.minute || 0,
+    parts.second || 0
+  );
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const result = guess - offset * 60000;
+
+  // Re-check in case the guess and the result sit on different sides of a
+  // daylight saving change
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+  return new Date(guess - correctedOffset * 60000);
+};
+
+// Parse an ISO 8601 date time. Values with an explicit offset or `Z` are
+// absolute; values without one are read as wall-clock time in `timeZone`.
+const parseDateTime = (value, timeZone = DEFAULT_TIMEZONE) => {
+  const text = String(value || "").trim();
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+
+  const match = text.match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map((part) =>
+    part === undefined ? 0 : parseInt(part)
+  );
+  return zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone);
+};
+
+// A client's own time zone, or the platform default
+const getClientTimeZone = (client) => client?.timezone || DEFAULT_TIMEZONE;
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getClientTimeZone,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseDateTime,
+};